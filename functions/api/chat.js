@@ -0,0 +1,313 @@
+/**
+ * Chat relay - keeps the Gemini key on the server.
+ * Accepts { messages: ChatMessage[], mode?: "chat" | "summary",
+ * context?: string, summary?: string }, injects SYSTEM_PROMPT (or
+ * SUMMARY_PROMPT in summary mode), calls Gemini and streams tokens back as
+ * OpenAI-style SSE chunks.
+ */
+
+import {
+  SUMMARY_PROMPT,
+  SYSTEM_PROMPT,
+  buildContextMessage,
+  buildSummaryMessage,
+} from "../../src/lib/prompts";
+
+const GEMINI_API_BASE = "https://generativelanguage.googleapis.com/v1beta";
+const DEFAULT_MODEL = "gemini-2.0-flash";
+
+// Same generation settings as the client-side Gemini provider
+const GENERATION_CONFIG = {
+  temperature: 0.2,
+  topP: 0.95,
+  maxOutputTokens: 8192,
+};
+
+// Abuse guards - the relay spends our quota
+const MAX_MESSAGES = 200;
+const MAX_PAYLOAD_CHARS = 400_000;
+const RATE_LIMIT = { maxRequests: 20, windowMs: 60_000 };
+
+// Requests per client IP in the current window. Kept per isolate, so this
+// only slows a single client down; a Cloudflare rate limiting rule on
+// /api/chat is the hard limit.
+const requestCounts = new Map();
+
+function jsonError(status, error, headers = {}) {
+  return new Response(JSON.stringify({ error }), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+}
+
+/**
+ * Whether the request comes from a page on this site. Browsers always
+ * send Origin (or at least Referer) on a POST, so this keeps other sites'
+ * pages out; non-browser clients can forge both headers.
+ */
+function isSameOrigin(request) {
+  const source =
+    request.headers.get("Origin") || request.headers.get("Referer");
+  if (!source) return false;
+  try {
+    return new URL(source).host === new URL(request.url).host;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Count a request against its client IP, returning the seconds to wait
+ * when over the limit, or 0
+ */
+function rateLimitDelay(request) {
+  const ip = request.headers.get("CF-Connecting-IP") || "unknown";
+  const now = Date.now();
+
+  // Drop finished windows so the map does not grow without bound
+  if (requestCounts.size > 10_000) {
+    for (const [key, entry] of requestCounts) {
+      if (now - entry.start >= RATE_LIMIT.windowMs) requestCounts.delete(key);
+    }
+  }
+
+  let entry = requestCounts.get(ip);
+  if (!entry || now - entry.start >= RATE_LIMIT.windowMs) {
+    entry = { start: now, count: 0 };
+    requestCounts.set(ip, entry);
+  }
+  entry.count++;
+
+  if (entry.count <= RATE_LIMIT.maxRequests) return 0;
+  return Math.ceil((entry.start + RATE_LIMIT.windowMs - now) / 1000);
+}
+
+/**
+ * Extract Gemini's error message ({ error: { message } }) from a failed
+ * response, falling back to the raw body
+ */
+async function upstreamErrorMessage(upstream) {
+  const body = await upstream.text().catch(() => "");
+  try {
+    return JSON.parse(body).error?.message || body;
+  } catch {
+    return body;
+  }
+}
+
+/**
+ * Validate the request payload, returning an error message or null
+ */
+function validatePayload(payload) {
+  if (!payload || !Array.isArray(payload.messages)) {
+    return "messages must be an array";
+  }
+  if (payload.messages.length === 0) return "messages must not be empty";
+  if (payload.messages.length > MAX_MESSAGES) return "too many messages";
+  if (
+    payload.mode !== undefined &&
+    payload.mode !== "chat" &&
+    payload.mode !== "summary"
+  ) {
+    return "mode must be chat or summary";
+  }
+  if (
+    payload.mode === "summary" &&
+    (payload.context !== undefined || payload.summary !== undefined)
+  ) {
+    return "summary mode takes no context or summary";
+  }
+  if (payload.context !== undefined && typeof payload.context !== "string") {
+    return "context must be a string";
+  }
+  if (payload.summary !== undefined && typeof payload.summary !== "string") {
+    return "summary must be a string";
+  }
+
+  let totalChars =
+    (payload.context?.length || 0) + (payload.summary?.length || 0);
+  for (const msg of payload.messages) {
+    // System messages are only ever injected here, never accepted from clients
+    if (!msg || (msg.role !== "user" && msg.role !== "assistant")) {
+      return "message role must be user or assistant";
+    }
+    if (typeof msg.content !== "string")
+      return "message content must be a string";
+    totalChars += msg.content.length;
+  }
+  if (totalChars > MAX_PAYLOAD_CHARS) return "payload too large";
+
+  return null;
+}
+
+/**
+ * System instruction for a request: the therapist prompt with context and
+ * summary for chat replies, the summary instruction alone for summaries
+ */
+function buildSystemText({ mode, context, summary }) {
+  if (mode === "summary") return SUMMARY_PROMPT;
+
+  const systemParts = [SYSTEM_PROMPT];
+  if (context) systemParts.push(buildContextMessage(context));
+  if (summary) systemParts.push(buildSummaryMessage(summary));
+  return systemParts.join("\n\n");
+}
+
+/**
+ * Convert a validated payload to a Gemini generateContent request body
+ */
+function toGeminiRequest(payload) {
+  const { messages } = payload;
+  const systemText = buildSystemText(payload);
+
+  return {
+    systemInstruction: { parts: [{ text: systemText }] },
+    contents: messages.map((msg) => ({
+      role: msg.role === "assistant" ? "model" : "user",
+      parts: [{ text: msg.content }],
+    })),
+    generationConfig: GENERATION_CONFIG,
+  };
+}
+
+/**
+ * Re-emit Gemini SSE events as OpenAI-style `data:` chunks
+ */
+async function pipeGeminiStream(upstreamBody, writer) {
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder("utf-8");
+  const reader = upstreamBody.getReader();
+  let buffer = "";
+
+  const send = (data) => writer.write(encoder.encode(`data: ${data}\n\n`));
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const lines = buffer.split("\n");
+    buffer = lines.pop() || "";
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith("data:")) continue;
+
+      let json;
+      try {
+        json = JSON.parse(trimmed.slice(5).trim());
+      } catch {
+        continue;
+      }
+
+      const candidate = json.candidates?.[0];
+      const text = (candidate?.content?.parts || [])
+        .map((part) => part.text || "")
+        .join("");
+      const blocked =
+        json.promptFeedback?.blockReason ||
+        candidate?.finishReason === "SAFETY";
+
+      if (text) {
+        await send(JSON.stringify({ choices: [{ delta: { content: text } }] }));
+      }
+      if (blocked) {
+        await send(
+          JSON.stringify({
+            choices: [{ delta: {}, finish_reason: "content_filter" }],
+          }),
+        );
+      }
+    }
+  }
+
+  await send("[DONE]");
+}
+
+export async function onRequest({ request, env }) {
+  if (request.method !== "POST") {
+    return new Response(null, { status: 405, headers: { Allow: "POST" } });
+  }
+
+  // No CORS headers either, so other sites' pages cannot read replies
+  if (!isSameOrigin(request)) {
+    return jsonError(403, "cross-origin requests are not allowed");
+  }
+
+  const retryAfter = rateLimitDelay(request);
+  if (retryAfter > 0) {
+    return jsonError(429, "too many requests", {
+      "Retry-After": String(retryAfter),
+    });
+  }
+
+  if (!env.GEMINI_API_KEY) {
+    return jsonError(500, "GEMINI_API_KEY is not configured");
+  }
+
+  let payload;
+  try {
+    payload = await request.json();
+  } catch {
+    return jsonError(400, "invalid JSON body");
+  }
+
+  const validationError = validatePayload(payload);
+  if (validationError) return jsonError(400, validationError);
+
+  const model = env.GEMINI_MODEL || DEFAULT_MODEL;
+  let upstream;
+  try {
+    upstream = await fetch(
+      `${GEMINI_API_BASE}/models/${model}:streamGenerateContent?alt=sse`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-goog-api-key": env.GEMINI_API_KEY,
+        },
+        body: JSON.stringify(toGeminiRequest(payload)),
+        signal: request.signal,
+      },
+    );
+  } catch (error) {
+    console.error("Gemini relay fetch error:", error);
+    return jsonError(502, "upstream unreachable");
+  }
+
+  if (!upstream.ok) {
+    // Status and message pass through, so the client can tell rate limits,
+    // blocked prompts and over-long contexts apart
+    const message = await upstreamErrorMessage(upstream);
+    console.error("Gemini relay error:", upstream.status, message);
+    const retryAfter = upstream.headers.get("Retry-After");
+    return jsonError(
+      upstream.status,
+      message || "upstream request failed",
+      retryAfter ? { "Retry-After": retryAfter } : {},
+    );
+  }
+  if (!upstream.body) {
+    return jsonError(502, "upstream returned no body");
+  }
+
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+
+  // A failure mid-stream errors the response instead of ending it, so
+  // the client never takes a truncated reply (no [DONE]) as complete
+  pipeGeminiStream(upstream.body, writer).then(
+    () => writer.close().catch(() => {}),
+    (error) => {
+      console.error("Gemini relay stream error:", error);
+      return writer.abort(error).catch(() => {});
+    },
+  );
+
+  return new Response(readable, {
+    headers: {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-store",
+    },
+  });
+}
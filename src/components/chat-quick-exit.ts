@@ -0,0 +1,138 @@
+/**
+ * Quick Exit Logic
+ * Button and Esc-Esc shortcut that leave for a neutral site at once and,
+ * depending on the user's setting, lock or wipe the stored conversations
+ */
+
+import { DATABASE_NAMES } from "../lib/database-names";
+
+export type QuickExitMode = "hide" | "lock" | "wipe";
+
+export interface QuickExitOptions {
+  // Called first, synchronously: stop generation, drop widget state
+  onExit: (mode: QuickExitMode) => void;
+}
+
+// Neutral page that replaces the chat, including its history entry
+const QUICK_EXIT_URL = "https://www.google.pl/search?q=pogoda";
+const QUICK_EXIT_MODE_STORAGE_KEY = "terapeuta-quick-exit-mode";
+// "lock" only protects encrypted conversations, so it must be opted into
+const DEFAULT_QUICK_EXIT_MODE: QuickExitMode = "hide";
+// Two Escape presses within this window trigger the exit
+const DOUBLE_ESCAPE_MS = 600;
+// Longest locking may delay leaving the page
+const LOCK_TIMEOUT_MS = 1500;
+
+let options: QuickExitOptions;
+let lastEscapeAt = 0;
+let exiting = false;
+
+/**
+ * Initialize the quick-exit button, shortcut and mode setting
+ */
+export function initQuickExit(quickExitOptions: QuickExitOptions): void {
+  options = quickExitOptions;
+  const exitButton = document.getElementById("chat-quick-exit-btn");
+  const modeSelect = document.getElementById(
+    "chat-quick-exit-mode",
+  ) as HTMLSelectElement | null;
+
+  exitButton?.addEventListener("click", quickExit);
+  // Capture phase, so inputs that handle Escape themselves still count
+  document.addEventListener("keydown", handleKeyDown, true);
+
+  if (modeSelect) {
+    modeSelect.value = readQuickExitMode();
+    modeSelect.addEventListener("change", () =>
+      saveQuickExitMode(modeSelect.value as QuickExitMode),
+    );
+  }
+}
+
+/**
+ * Trigger on a second Escape shortly after the first
+ */
+function handleKeyDown(e: KeyboardEvent): void {
+  if (e.key !== "Escape" || e.repeat) return;
+
+  const now = Date.now();
+  if (now - lastEscapeAt <= DOUBLE_ESCAPE_MS) {
+    e.preventDefault();
+    quickExit();
+  }
+  lastEscapeAt = now;
+}
+
+/**
+ * Read the quick-exit mode (localStorage may be unavailable)
+ */
+function readQuickExitMode(): QuickExitMode {
+  try {
+    const mode = localStorage.getItem(QUICK_EXIT_MODE_STORAGE_KEY);
+    return mode === "hide" || mode === "lock" || mode === "wipe"
+      ? mode
+      : DEFAULT_QUICK_EXIT_MODE;
+  } catch {
+    return DEFAULT_QUICK_EXIT_MODE;
+  }
+}
+
+function saveQuickExitMode(mode: QuickExitMode): void {
+  try {
+    localStorage.setItem(QUICK_EXIT_MODE_STORAGE_KEY, mode);
+  } catch {
+    // Not persisted; the default applies on the next visit
+  }
+}
+
+/**
+ * Request deletion of the conversation, archive and embedding cache
+ * databases. Issued synchronously, without loading the services or
+ * starting workers: open connections close on versionchange and the
+ * browser finishes the deletes after the page is gone.
+ */
+function deleteChatDatabases(): void {
+  for (const name of DATABASE_NAMES) {
+    try {
+      indexedDB.deleteDatabase(name);
+    } catch (e) {
+      console.warn(`Quick exit failed to delete ${name}:`, e);
+    }
+  }
+}
+
+/**
+ * Resolve after the work settles or the timeout passes, whichever is first
+ */
+function settleWithin(work: Promise<void>, ms: number): Promise<void> {
+  return Promise.race([
+    work.catch((e) => console.warn("Quick exit cleanup failed:", e)),
+    new Promise<void>((resolve) => setTimeout(resolve, ms)),
+  ]);
+}
+
+/**
+ * Blank the page, lock or wipe data per the setting, then replace the
+ * page (and its history entry) with a neutral site so Back does not
+ * return to the chat
+ */
+export async function quickExit(): Promise<void> {
+  if (exiting) return;
+  exiting = true;
+
+  const mode = readQuickExitMode();
+  options?.onExit(mode);
+  document.title = "Pogoda";
+  document.body.replaceChildren();
+
+  if (mode === "lock") {
+    await settleWithin(
+      import("../services/vault").then((vault) => vault.lockVault()),
+      LOCK_TIMEOUT_MS,
+    );
+  } else if (mode === "wipe") {
+    deleteChatDatabases();
+  }
+
+  location.replace(QUICK_EXIT_URL);
+}
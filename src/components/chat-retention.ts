@@ -0,0 +1,92 @@
+/**
+ * Chat Retention Setting Logic
+ * Retention period picker in the settings panel; starts the expiry schedule
+ */
+
+import type { RetentionPeriod, RetentionResult } from "../services/retention";
+
+export interface RetentionOptions {
+  // Some stored data expired: refresh what is shown
+  onExpired: (result: RetentionResult) => void;
+}
+
+const PERIOD_LABELS: Record<RetentionPeriod, string> = {
+  "24h": "24 godziny",
+  "7d": "7 dni",
+  "30d": "30 dni",
+  forever: "bez limitu",
+};
+
+// DOM Elements
+let periodSelect: HTMLSelectElement | null;
+let infoText: HTMLElement | null;
+
+let options: RetentionOptions;
+
+/**
+ * Initialize the setting and enforce retention on startup
+ */
+export async function initRetention(
+  retentionOptions: RetentionOptions,
+): Promise<void> {
+  options = retentionOptions;
+  periodSelect = document.getElementById(
+    "chat-retention-period",
+  ) as HTMLSelectElement | null;
+  infoText = document.getElementById("chat-retention-info");
+
+  const retention = await import("../services/retention");
+  const period = retention.getRetentionPeriod();
+  if (periodSelect) {
+    periodSelect.value = period;
+    periodSelect.addEventListener("change", handlePeriodChange);
+  }
+  updateInfo(period);
+
+  retention.startRetentionSchedule(options.onExpired);
+}
+
+/**
+ * Explain what gets deleted and when
+ */
+function updateInfo(period: RetentionPeriod): void {
+  if (!infoText) return;
+
+  infoText.textContent =
+    period === "forever"
+      ? "Rozmowy są przechowywane w tej przeglądarce, dopóki ich nie usuniesz."
+      : `Wiadomości, podsumowania i zarchiwizowane fragmenty starsze niż ${PERIOD_LABELS[period]} są usuwane przy otwarciu strony i co godzinę.`;
+}
+
+/**
+ * Apply a new period; a shorter one deletes data right away, so confirm
+ */
+async function handlePeriodChange(): Promise<void> {
+  if (!periodSelect) return;
+
+  const retention = await import("../services/retention");
+  const previous = retention.getRetentionPeriod();
+  const period = periodSelect.value as RetentionPeriod;
+
+  if (
+    period !== "forever" &&
+    !confirm(
+      `Dane starsze niż ${PERIOD_LABELS[period]} zostaną teraz trwale usunięte. Kontynuować?`,
+    )
+  ) {
+    periodSelect.value = previous;
+    return;
+  }
+
+  retention.setRetentionPeriod(period);
+  updateInfo(period);
+
+  try {
+    const result = await retention.enforceRetention(period);
+    if (Object.values(result).some((count) => count > 0)) {
+      options.onExpired(result);
+    }
+  } catch (e) {
+    console.warn("Failed to enforce retention:", e);
+  }
+}
@@ -0,0 +1,275 @@
+/**
+ * Chat Security Logic
+ * Lock screen and the encryption settings panel (enable, change
+ * passphrase, disable, lock now)
+ */
+
+import type { VaultStatus } from "../services/vault";
+
+type VaultModule = typeof import("../services/vault");
+
+export interface SecurityOptions {
+  // The vault locked: drop every decrypted message from the page
+  onLocked: () => void;
+  // The vault unlocked: render the conversation again
+  onUnlocked: () => Promise<void>;
+  // While a reply is generating, encryption changes are blocked
+  isBusy: () => boolean;
+}
+
+type SecurityAction = "enable" | "change" | "disable" | "lock";
+
+// Which panel fields and buttons apply in each vault status
+const VISIBLE_FIELDS: Record<VaultStatus, string[]> = {
+  disabled: ["next", "confirm"],
+  locked: [],
+  unlocked: ["current", "next", "confirm"],
+};
+const VISIBLE_ACTIONS: Record<VaultStatus, SecurityAction[]> = {
+  disabled: ["enable"],
+  locked: [],
+  unlocked: ["change", "disable", "lock"],
+};
+
+// Set by the vault while encryption is on (must match vault.ts)
+const ENCRYPTED_FLAG_KEY = "terapeuta-encrypted";
+
+const STATUS_LABELS: Record<VaultStatus, string> = {
+  disabled: "Szyfrowanie wyłączone",
+  locked: "Zablokowane",
+  unlocked: "Szyfrowanie włączone",
+};
+
+// DOM Elements
+let lockScreen: HTMLElement;
+let unlockForm: HTMLFormElement;
+let unlockInput: HTMLInputElement;
+let unlockError: HTMLElement;
+let menu: HTMLDetailsElement | null;
+let securityForm: HTMLFormElement | null;
+let statusText: HTMLElement | null;
+let securityError: HTMLElement | null;
+
+let options: SecurityOptions;
+let vaultPromise: Promise<VaultModule> | null = null;
+let loadedVault: VaultModule | null = null;
+
+/**
+ * Lazy-load the vault; the first load subscribes to locks and shows the
+ * lock screen if the stored data is encrypted
+ */
+function loadVault(): Promise<VaultModule> {
+  if (!vaultPromise) {
+    vaultPromise = (async () => {
+      const vault = await import("../services/vault");
+      vault.onVaultLocked(() => {
+        options.onLocked();
+        showLockScreen(true);
+      });
+      if ((await vault.getVaultStatus()) === "locked") {
+        showLockScreen(true);
+      }
+      loadedVault = vault;
+      return vault;
+    })();
+    vaultPromise.catch(() => {
+      vaultPromise = null;
+    });
+  }
+  return vaultPromise;
+}
+
+/**
+ * Whether the vault flagged encryption as on (localStorage may be
+ * unavailable)
+ */
+function isEncryptionFlagged(): boolean {
+  try {
+    return localStorage.getItem(ENCRYPTED_FLAG_KEY) !== null;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Initialize the lock screen and settings panel. The vault (and the
+ * stores behind it) is loaded right away only when encryption is on;
+ * otherwise when the settings panel is first opened.
+ */
+export async function initSecurity(
+  securityOptions: SecurityOptions,
+): Promise<void> {
+  options = securityOptions;
+  lockScreen = document.getElementById("chat-lock-screen")!;
+  unlockForm = document.getElementById("chat-unlock-form") as HTMLFormElement;
+  unlockInput = document.getElementById(
+    "chat-unlock-input",
+  ) as HTMLInputElement;
+  unlockError = document.getElementById("chat-unlock-error")!;
+  menu = document.getElementById("chat-security-menu") as HTMLDetailsElement;
+  securityForm = document.getElementById(
+    "chat-security-form",
+  ) as HTMLFormElement | null;
+  statusText = document.getElementById("chat-security-status");
+  securityError = document.getElementById("chat-security-error");
+
+  if (!lockScreen || !unlockForm || !unlockInput) return;
+
+  unlockForm.addEventListener("submit", handleUnlock);
+  securityForm?.addEventListener("submit", handleSecurityAction);
+  menu?.addEventListener("toggle", () => {
+    if (menu?.open) refreshPanel();
+  });
+
+  // Any interaction inside the widget counts as activity
+  const widget = document.getElementById("chat-widget");
+  for (const type of ["keydown", "pointerdown"]) {
+    widget?.addEventListener(type, () => loadedVault?.recordVaultActivity(), {
+      passive: true,
+    });
+  }
+
+  if (isEncryptionFlagged()) await loadVault();
+}
+
+/**
+ * Show/hide the lock screen
+ */
+function showLockScreen(show: boolean): void {
+  lockScreen.hidden = !show;
+  unlockInput.value = "";
+  unlockError.hidden = true;
+  if (menu) menu.open = false;
+  if (show) unlockInput.focus();
+}
+
+/**
+ * Try the entered passphrase
+ */
+async function handleUnlock(e: Event): Promise<void> {
+  e.preventDefault();
+  const passphrase = unlockInput.value;
+  if (!passphrase) return;
+
+  const submitButton = unlockForm.querySelector("button");
+  if (submitButton) submitButton.disabled = true;
+
+  try {
+    const vault = await loadVault();
+    if (!(await vault.unlockVault(passphrase))) {
+      unlockInput.value = "";
+      unlockError.hidden = false;
+      unlockInput.focus();
+      return;
+    }
+
+    showLockScreen(false);
+    await options.onUnlocked();
+  } catch (e) {
+    console.warn("Failed to unlock:", e);
+    unlockError.hidden = false;
+  } finally {
+    if (submitButton) submitButton.disabled = false;
+  }
+}
+
+/**
+ * Show the fields and buttons that apply to the current vault status
+ */
+async function refreshPanel(): Promise<void> {
+  if (!securityForm) return;
+
+  const vault = await loadVault();
+  const status = await vault.getVaultStatus();
+
+  if (statusText) statusText.textContent = STATUS_LABELS[status];
+  if (securityError) securityError.textContent = "";
+  securityForm
+    .querySelectorAll<HTMLInputElement>('input[type="password"]')
+    .forEach((input) => (input.value = ""));
+
+  securityForm
+    .querySelectorAll<HTMLElement>("[data-security-field]")
+    .forEach((field) => {
+      field.hidden = !VISIBLE_FIELDS[status].includes(
+        field.dataset.securityField!,
+      );
+    });
+  securityForm
+    .querySelectorAll<HTMLButtonElement>("[data-security-action]")
+    .forEach((button) => {
+      button.hidden = !VISIBLE_ACTIONS[status].includes(
+        button.dataset.securityAction as SecurityAction,
+      );
+    });
+}
+
+/**
+ * Read a passphrase input from the settings form
+ */
+function readField(name: string): string {
+  const input = securityForm?.querySelector<HTMLInputElement>(
+    `[data-security-field="${name}"] input`,
+  );
+  return input?.value ?? "";
+}
+
+/**
+ * Run the clicked settings action
+ */
+async function handleSecurityAction(e: SubmitEvent): Promise<void> {
+  e.preventDefault();
+  const action = (e.submitter as HTMLButtonElement | null)?.dataset
+    .securityAction as SecurityAction | undefined;
+  if (!action || !securityForm) return;
+
+  const showError = (message: string) => {
+    if (securityError) securityError.textContent = message;
+  };
+
+  if (options.isBusy()) {
+    showError("Poczekaj, aż odpowiedź zostanie wygenerowana.");
+    return;
+  }
+
+  const vault = await loadVault();
+  if (action === "lock") {
+    vault.lockVault();
+    return;
+  }
+
+  const next = readField("next");
+  if (action !== "disable") {
+    if (next.length < vault.MIN_PASSPHRASE_LENGTH) {
+      showError(
+        `Hasło musi mieć co najmniej ${vault.MIN_PASSPHRASE_LENGTH} znaków.`,
+      );
+      return;
+    }
+    if (next !== readField("confirm")) {
+      showError("Hasła nie są takie same.");
+      return;
+    }
+  }
+
+  securityForm.setAttribute("aria-busy", "true");
+  try {
+    if (action === "enable") {
+      await vault.enableEncryption(next);
+    } else if (action === "change") {
+      await vault.changePassphrase(readField("current"), next);
+    } else {
+      await vault.disableEncryption(readField("current"));
+    }
+    await refreshPanel();
+  } catch (e) {
+    console.warn(`Failed to ${action} encryption:`, e);
+    showError(
+      e instanceof Error && e.message === "Wrong passphrase"
+        ? "Nieprawidłowe obecne hasło."
+        : "Nie udało się zmienić ustawień szyfrowania.",
+    );
+  } finally {
+    securityForm.removeAttribute("aria-busy");
+  }
+}
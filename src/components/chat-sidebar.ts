@@ -0,0 +1,264 @@
+/**
+ * Chat Sidebar Logic
+ * Lists conversation threads and handles create/rename/archive/delete
+ */
+
+import type { SessionRecord } from "../services/memory-store";
+
+type MemoryStoreModule = typeof import("../services/memory-store");
+
+export interface SessionSidebarOptions {
+  getActiveSessionId: () => string;
+  onSelectSession: (sessionId: string) => Promise<void>;
+  // A session was renamed or (un)archived
+  onSessionsChanged: () => void;
+  // While a reply is generating, switching threads is blocked
+  isBusy: () => boolean;
+}
+
+// DOM Elements
+let sidebar: HTMLElement;
+let toggleButton: HTMLButtonElement;
+let sessionList: HTMLUListElement;
+
+let options: SessionSidebarOptions;
+let showArchived = false;
+
+/**
+ * Initialize the sidebar (the session list is loaded when first opened)
+ */
+export function initSessionSidebar(
+  sidebarOptions: SessionSidebarOptions,
+): void {
+  options = sidebarOptions;
+  sidebar = document.getElementById("chat-sidebar")!;
+  toggleButton = document.getElementById(
+    "chat-sidebar-toggle",
+  ) as HTMLButtonElement;
+  sessionList = document.getElementById(
+    "chat-session-list",
+  ) as HTMLUListElement;
+  const newSessionButton = document.getElementById("chat-new-session-btn");
+  const showArchivedInput = document.getElementById(
+    "chat-show-archived",
+  ) as HTMLInputElement | null;
+
+  if (!sidebar || !toggleButton || !sessionList) return;
+
+  toggleButton.addEventListener("click", toggleSidebar);
+  newSessionButton?.addEventListener("click", handleNewSession);
+  showArchivedInput?.addEventListener("change", () => {
+    showArchived = showArchivedInput.checked;
+    refreshSessionList();
+  });
+}
+
+/**
+ * Lazy-load the memory store
+ */
+function loadStore(): Promise<MemoryStoreModule> {
+  return import("../services/memory-store");
+}
+
+/**
+ * Show/hide the sidebar
+ */
+function toggleSidebar(): void {
+  const open = sidebar.hidden;
+  sidebar.hidden = !open;
+  toggleButton.setAttribute("aria-expanded", open.toString());
+  toggleButton.setAttribute(
+    "aria-label",
+    open ? "Ukryj listę rozmów" : "Pokaż listę rozmów",
+  );
+
+  if (open) {
+    refreshSessionList();
+  }
+}
+
+/**
+ * Re-render the session list (no-op while the sidebar is hidden)
+ */
+export async function refreshSessionList(): Promise<void> {
+  if (!sidebar || sidebar.hidden) return;
+
+  try {
+    const store = await loadStore();
+    const sessions = await store.listSessions(showArchived);
+    const activeId = options.getActiveSessionId();
+
+    sessionList.innerHTML = "";
+    for (const session of sessions) {
+      sessionList.appendChild(renderSessionItem(session, activeId));
+    }
+  } catch (e) {
+    console.warn("Failed to load sessions:", e);
+  }
+}
+
+/**
+ * Remove all session entries (e.g. when encrypted data is locked)
+ */
+export function clearSessionList(): void {
+  if (sessionList) sessionList.innerHTML = "";
+}
+
+/**
+ * Build a list entry with select/rename/archive/delete controls
+ */
+function renderSessionItem(
+  session: SessionRecord,
+  activeId: string,
+): HTMLLIElement {
+  const item = document.createElement("li");
+  item.className = "chat-session-item";
+  item.classList.toggle("archived", session.archived);
+  item.setAttribute("aria-current", (session.id === activeId).toString());
+
+  const selectButton = document.createElement("button");
+  selectButton.type = "button";
+  selectButton.className = "chat-session-select";
+  selectButton.textContent = session.title;
+  selectButton.title = `${session.title} — ${new Date(
+    session.lastActiveAt,
+  ).toLocaleString("pl-PL")}`;
+  selectButton.addEventListener("click", () => selectSession(session.id));
+
+  item.append(
+    selectButton,
+    createActionButton("✎", "Zmień nazwę", () => startRename(item, session)),
+    createActionButton(
+      session.archived ? "↺" : "▣",
+      session.archived ? "Przywróć z archiwum" : "Archiwizuj",
+      () => handleArchive(session),
+    ),
+    createActionButton("✕", "Usuń rozmowę", () => handleDelete(session)),
+  );
+
+  return item;
+}
+
+/**
+ * Small icon button for a session entry
+ */
+function createActionButton(
+  label: string,
+  ariaLabel: string,
+  onClick: () => void,
+): HTMLButtonElement {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "chat-session-action";
+  button.textContent = label;
+  button.title = ariaLabel;
+  button.setAttribute("aria-label", ariaLabel);
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+/**
+ * Switch the widget to another session
+ */
+async function selectSession(sessionId: string): Promise<void> {
+  if (options.isBusy()) return;
+
+  await options.onSelectSession(sessionId);
+  await refreshSessionList();
+}
+
+/**
+ * Create a new empty session and switch to it
+ */
+async function handleNewSession(): Promise<void> {
+  if (options.isBusy()) return;
+
+  try {
+    const store = await loadStore();
+    const session = await store.createSession();
+    await selectSession(session.id);
+  } catch (e) {
+    console.warn("Failed to create session:", e);
+  }
+}
+
+/**
+ * Replace the title with an inline input (Enter saves, Escape cancels)
+ */
+function startRename(item: HTMLLIElement, session: SessionRecord): void {
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "chat-session-rename";
+  input.value = session.title;
+  input.setAttribute("aria-label", "Nazwa rozmowy");
+
+  item.innerHTML = "";
+  item.appendChild(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const finish = async (save: boolean) => {
+    if (done) return;
+    done = true;
+
+    if (save && input.value.trim() !== session.title) {
+      try {
+        const store = await loadStore();
+        await store.renameSession(session.id, input.value);
+      } catch (e) {
+        console.warn("Failed to rename session:", e);
+      }
+    }
+    await refreshSessionList();
+    options.onSessionsChanged();
+  };
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") finish(true);
+    if (e.key === "Escape") finish(false);
+  });
+  input.addEventListener("blur", () => finish(true));
+}
+
+/**
+ * Toggle the archived flag
+ */
+async function handleArchive(session: SessionRecord): Promise<void> {
+  try {
+    const store = await loadStore();
+    await store.updateSession(session.id, { archived: !session.archived });
+    await refreshSessionList();
+  } catch (e) {
+    console.warn("Failed to archive session:", e);
+  }
+}
+
+/**
+ * Delete a session after confirmation; deleting the active one switches
+ * to the most recent remaining session (or a new one)
+ */
+async function handleDelete(session: SessionRecord): Promise<void> {
+  if (options.isBusy()) return;
+  if (
+    !confirm(
+      `Usunąć rozmowę „${session.title}”? Tej operacji nie można cofnąć.`,
+    )
+  ) {
+    return;
+  }
+
+  try {
+    const store = await loadStore();
+    await store.deleteSession(session.id);
+
+    if (session.id === options.getActiveSessionId()) {
+      const [next] = await store.listSessions();
+      const nextId = next?.id ?? (await store.createSession()).id;
+      await options.onSelectSession(nextId);
+    }
+    await refreshSessionList();
+  } catch (e) {
+    console.warn("Failed to delete session:", e);
+  }
+}
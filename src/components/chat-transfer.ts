@@ -0,0 +1,133 @@
+/**
+ * Chat Transfer Menu Logic
+ * Download the active conversation and import a previously exported one
+ */
+
+import type { ExportFormat } from "../lib/conversation-export";
+
+type ChatSessionType = import("../services/chat-session").ChatSession;
+
+export interface TransferMenuOptions {
+  getSession: () => Promise<ChatSessionType>;
+  // Switch the widget to the imported session
+  onImported: (sessionId: string) => Promise<void>;
+  // While a reply is generating, importing (and switching) is blocked
+  isBusy: () => boolean;
+}
+
+// DOM Elements
+let menu: HTMLDetailsElement;
+let fileInput: HTMLInputElement;
+let reArchiveInput: HTMLInputElement | null;
+
+let options: TransferMenuOptions;
+
+/**
+ * Initialize the export/import menu
+ */
+export function initTransferMenu(menuOptions: TransferMenuOptions): void {
+  options = menuOptions;
+  menu = document.getElementById("chat-transfer-menu") as HTMLDetailsElement;
+  fileInput = document.getElementById("chat-import-file") as HTMLInputElement;
+  reArchiveInput = document.getElementById(
+    "chat-import-rearchive",
+  ) as HTMLInputElement | null;
+  const importButton = document.getElementById("chat-import-btn");
+
+  if (!menu || !fileInput) return;
+
+  menu
+    .querySelectorAll<HTMLButtonElement>("[data-export-format]")
+    .forEach((button) => {
+      button.addEventListener("click", () =>
+        handleExport(button.dataset.exportFormat as ExportFormat),
+      );
+    });
+  importButton?.addEventListener("click", () => {
+    if (options.isBusy()) return;
+    fileInput.click();
+  });
+  fileInput.addEventListener("change", handleImportFile);
+}
+
+/**
+ * Save text as a file via a temporary object URL
+ */
+function downloadFile(content: string, fileName: string, mimeType: string) {
+  const url = URL.createObjectURL(
+    new Blob([content], { type: `${mimeType};charset=utf-8` }),
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Download the active conversation in the chosen format
+ */
+async function handleExport(format: ExportFormat): Promise<void> {
+  menu.open = false;
+
+  try {
+    const session = await options.getSession();
+    const [content, store, exportModule] = await Promise.all([
+      session.export(format),
+      import("../services/memory-store"),
+      import("../lib/conversation-export"),
+    ]);
+    const record = await store.getSessionRecord(session.getSessionId());
+    const { fileName, mimeType } = exportModule.exportFileInfo(
+      record ?? { title: store.DEFAULT_SESSION_TITLE },
+      format,
+    );
+
+    downloadFile(content, fileName, mimeType);
+  } catch (e) {
+    console.warn("Failed to export conversation:", e);
+    alert("Nie udało się wyeksportować rozmowy.");
+  }
+}
+
+/**
+ * Import the selected JSON export as a new session and switch to it
+ */
+async function handleImportFile(): Promise<void> {
+  const file = fileInput.files?.[0];
+  fileInput.value = ""; // allow picking the same file again
+  if (!file || options.isBusy()) return;
+
+  // The menu stays open meanwhile, showing re-archiving progress
+  const importButton = document.getElementById("chat-import-btn");
+  const buttonLabel = importButton?.textContent ?? "";
+
+  try {
+    const session = await options.getSession();
+    const { session: imported, unindexed } = await session.import(
+      await file.text(),
+      {
+        reArchive: reArchiveInput?.checked ?? false,
+        onArchiveProgress: (done, total) => {
+          if (importButton) {
+            importButton.textContent = `Dodawanie do wyszukiwania… ${done}/${total}`;
+          }
+        },
+      },
+    );
+    await options.onImported(imported.id);
+    if (unindexed > 0) {
+      alert(
+        `Rozmowa została zaimportowana, ale części wiadomości (${unindexed}) nie udało się dodać do wyszukiwania.`,
+      );
+    }
+  } catch (e) {
+    console.warn("Failed to import conversation:", e);
+    alert(
+      "Nie udało się zaimportować pliku. Upewnij się, że to eksport rozmowy w formacie JSON.",
+    );
+  } finally {
+    if (importButton) importButton.textContent = buttonLabel;
+    menu.open = false;
+  }
+}
@@ -3,15 +3,34 @@
  * Handles user input, message display, and LLM interaction
  */
 
-import type { ConversationMessage } from "../services/memory-store";
+import type {
+  ConversationMessage,
+  MemoryUsage,
+  MessageCitation,
+} from "../services/memory-store";
+import { LLMError, type LLMErrorKind } from "../services/llm-errors";
+import type { EmbeddingCacheStats } from "../workers/embedding.protocol";
+import {
+  clearSessionList,
+  initSessionSidebar,
+  refreshSessionList,
+} from "./chat-sidebar";
+import { initTransferMenu } from "./chat-transfer";
+import { initSecurity } from "./chat-security";
+import { initQuickExit, type QuickExitMode } from "./chat-quick-exit";
+import { initRetention } from "./chat-retention";
+import { initDataWipe } from "./chat-wipe";
 
 // DOM Elements
 let messagesContainer: HTMLElement;
 let inputForm: HTMLFormElement;
 let inputField: HTMLTextAreaElement;
 let sendButton: HTMLButtonElement;
+let stopButton: HTMLButtonElement;
 let loadingIndicator: HTMLElement;
 let statsContainer: HTMLElement;
+let sessionTitle: HTMLElement | null;
+let crisisCard: HTMLElement | null;
 
 type ChatSessionType = import("../services/chat-session").ChatSession;
 
@@ -19,10 +38,27 @@ type ChatSessionType = import("../services/chat-session").ChatSession;
 let chatSession: ChatSessionType | null = null;
 let historyLoaded = false;
 
+// Active conversation thread, remembered across reloads
+const ACTIVE_SESSION_STORAGE_KEY = "terapeuta-active-session";
+let activeSessionId = readActiveSessionId();
+
 // State
 let isProcessing = false;
+let abortController: AbortController | null = null;
 let showStats = false; // Toggle for dev mode
 
+// Abort reason when the vault locks mid-generation: the page was cleared
+// and the interrupted reply cannot be stored in the locked store
+const VAULT_LOCKED = new DOMException("Vault locked", "AbortError");
+
+// Error kinds where sending the same request again can help
+// (auth, safety and context errors need a different fix)
+const USER_RETRYABLE_KINDS: ReadonlySet<LLMErrorKind> = new Set([
+  "rate-limited",
+  "network",
+  "unknown",
+]);
+
 /**
  * Initialize the chat widget
  */
@@ -32,8 +68,11 @@ export async function initChatWidget(): Promise<void> {
   inputForm = document.getElementById("chat-form") as HTMLFormElement;
   inputField = document.getElementById("chat-input") as HTMLTextAreaElement;
   sendButton = document.getElementById("chat-send-btn") as HTMLButtonElement;
+  stopButton = document.getElementById("chat-stop-btn") as HTMLButtonElement;
   loadingIndicator = document.getElementById("chat-loading")!;
   statsContainer = document.getElementById("chat-stats")!;
+  sessionTitle = document.getElementById("chat-session-title");
+  crisisCard = document.getElementById("chat-crisis-card");
 
   if (!messagesContainer || !inputForm || !inputField || !sendButton) {
     console.error("Chat widget elements not found");
@@ -44,11 +83,40 @@ export async function initChatWidget(): Promise<void> {
   inputForm.addEventListener("submit", handleSubmit);
   inputField.addEventListener("input", handleInputChange);
   inputField.addEventListener("keydown", handleKeyDown);
+  stopButton?.addEventListener("click", handleStop);
 
   // Auto-resize textarea
   inputField.addEventListener("input", autoResizeTextarea);
 
   // History and session are loaded lazily on first user interaction
+  initSessionSidebar({
+    getActiveSessionId: () => activeSessionId,
+    onSelectSession: selectSession,
+    onSessionsChanged: updateSessionTitle,
+    isBusy: () => isProcessing,
+  });
+  updateSessionTitle();
+  initTransferMenu({
+    getSession,
+    onImported: async (sessionId) => {
+      await selectSession(sessionId);
+      await refreshSessionList();
+    },
+    isBusy: () => isProcessing,
+  });
+  initSecurity({
+    onLocked: handleVaultLocked,
+    onUnlocked: handleVaultUnlocked,
+    isBusy: () => isProcessing,
+  }).catch((e) => console.warn("Failed to initialize encryption:", e));
+  initQuickExit({ onExit: handleQuickExit });
+  initDataWipe({
+    onBeforeWipe: handleVaultLocked,
+    isBusy: () => isProcessing,
+  });
+  initRetention({ onExpired: handleDataExpired }).catch((e) =>
+    console.warn("Failed to start retention:", e),
+  );
 
   // Enable dev stats with Ctrl+Shift+D
   document.addEventListener("keydown", (e) => {
@@ -63,23 +131,310 @@ export async function initChatWidget(): Promise<void> {
  */
 async function loadHistory(): Promise<void> {
   try {
-    const session = await getSession();
-    const history = await session.getHistory();
-    if (history.length > 0) {
-      messagesContainer.innerHTML = "";
+    await renderHistory();
+    historyLoaded = true;
+  } catch (e) {
+    console.warn("Failed to load history:", e);
+  }
+}
 
-      // Add historical messages
-      for (const msg of history) {
-        if (msg.role === "user" || msg.role === "assistant") {
-          appendMessage(msg.role, msg.content, false);
-        }
-      }
+/**
+ * Render the stored conversation, replacing the messages container
+ * content (including any temporary streaming bubbles)
+ */
+async function renderHistory(): Promise<void> {
+  const session = await getSession();
+  const history = (await session.getHistory()).filter(
+    (msg) => msg.role === "user" || msg.role === "assistant",
+  );
+  if (history.length === 0 && !historyLoaded) return;
+
+  messagesContainer.innerHTML = "";
+
+  // Add historical messages
+  history.forEach((msg, index) => {
+    renderMessage(msg, index === history.length - 1);
+  });
 
-      scrollToBottom();
+  scrollToBottom();
+}
+
+/**
+ * Render a stored message with its version switcher and action menu
+ */
+function renderMessage(message: ConversationMessage, isLast: boolean): void {
+  const role = message.role as "user" | "assistant";
+  const messageEl = appendMessage(role, "");
+  messageEl.dataset.messageId = message.id;
+
+  const textEl = document.createElement("div");
+  textEl.className = "message-text";
+  textEl.textContent = message.content;
+  messageEl.appendChild(textEl);
+
+  if (message.interrupted) {
+    const noteEl = document.createElement("span");
+    noteEl.className = "message-note";
+    noteEl.textContent = "(przerwano)";
+    messageEl.appendChild(noteEl);
+  }
+
+  if (message.citations && message.citations.length > 0) {
+    messageEl.appendChild(createCitationsPanel(message));
+  }
+
+  const footerEl = document.createElement("div");
+  footerEl.className = "message-footer";
+
+  if (message.versions && message.versions.length > 1) {
+    footerEl.appendChild(createVersionSwitcher(message));
+  }
+
+  const actions: { label: string; run: () => void }[] = [];
+  if (role === "user") {
+    actions.push({
+      label: "Edytuj",
+      run: () => startEdit(messageEl, message),
+    });
+  }
+  if (role === "assistant" && isLast) {
+    actions.push({
+      label: "Wygeneruj ponownie",
+      run: () => regenerateLastMessage(messageEl),
+    });
+  }
+  if (actions.length > 0) {
+    footerEl.appendChild(createActionMenu(actions));
+  }
+
+  if (footerEl.childElementCount > 0) {
+    messageEl.appendChild(footerEl);
+  }
+}
+
+/**
+ * Build the expandable list of archived fragments a reply was based on
+ */
+function createCitationsPanel(message: ConversationMessage): HTMLElement {
+  const panelEl = document.createElement("details");
+  panelEl.className = "message-citations";
+
+  const summaryEl = document.createElement("summary");
+  summaryEl.textContent = `Na podstawie wcześniejszej rozmowy (${message.citations!.length})`;
+  panelEl.appendChild(summaryEl);
+
+  const listEl = document.createElement("ul");
+  for (const citation of message.citations!) {
+    listEl.appendChild(createCitationItem(message.id, citation));
+  }
+  panelEl.appendChild(listEl);
+
+  return panelEl;
+}
+
+/**
+ * One cited fragment: where and when it was said, how well it matched,
+ * and a toggle to mark it irrelevant
+ */
+function createCitationItem(
+  messageId: string,
+  citation: MessageCitation,
+): HTMLElement {
+  const itemEl = document.createElement("li");
+  itemEl.className = "message-citation";
+
+  const metaEl = document.createElement("div");
+  metaEl.className = "message-citation-meta";
+  const origin =
+    citation.sessionId === activeSessionId ? "ta rozmowa" : "inna rozmowa";
+  const match = citation.keywordMatch ? ", pasują słowa kluczowe" : "";
+  metaEl.textContent = `${new Date(citation.date).toLocaleDateString("pl-PL")} · ${origin} · trafność ${Math.round(citation.score * 100)}%${match}`;
+
+  const textEl = document.createElement("p");
+  textEl.className = "message-citation-text";
+  textEl.textContent = citation.text
+    .replace(/\[user\] /g, "Ty: ")
+    .replace(/\[assistant\] /g, "Asystent: ");
+
+  const button = document.createElement("button");
+  button.type = "button";
+  let irrelevant = citation.irrelevant ?? false;
+  const update = () => {
+    itemEl.classList.toggle("message-citation-irrelevant", irrelevant);
+    button.textContent = irrelevant ? "Cofnij" : "Nietrafne";
+    button.setAttribute(
+      "aria-label",
+      irrelevant
+        ? "Cofnij oznaczenie fragmentu jako nietrafnego"
+        : "Oznacz fragment jako nietrafny",
+    );
+  };
+  button.addEventListener("click", async () => {
+    if (isProcessing) return;
+    button.disabled = true;
+    try {
+      const session = await getSession();
+      await session.markCitationIrrelevant(
+        messageId,
+        citation.chunkId,
+        !irrelevant,
+      );
+      irrelevant = !irrelevant;
+      update();
+    } catch (e) {
+      console.warn("Failed to mark citation:", e);
+    } finally {
+      button.disabled = false;
     }
-    historyLoaded = true;
+  });
+  update();
+
+  itemEl.append(metaEl, textEl, button);
+  return itemEl;
+}
+
+/**
+ * Build the "‹ 2/3 ›" control for flipping between message versions
+ */
+function createVersionSwitcher(message: ConversationMessage): HTMLElement {
+  const total = message.versions!.length;
+  const active = message.activeVersion ?? 0;
+
+  const switcherEl = document.createElement("div");
+  switcherEl.className = "message-versions";
+
+  const makeButton = (label: string, ariaLabel: string, target: number) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = label;
+    button.setAttribute("aria-label", ariaLabel);
+    button.disabled = target < 0 || target >= total;
+    button.addEventListener("click", () => switchVersion(message.id, target));
+    return button;
+  };
+
+  const labelEl = document.createElement("span");
+  labelEl.textContent = `${active + 1}/${total}`;
+
+  switcherEl.append(
+    makeButton("‹", "Poprzednia wersja", active - 1),
+    labelEl,
+    makeButton("›", "Następna wersja", active + 1),
+  );
+  return switcherEl;
+}
+
+/**
+ * Build a per-message action menu
+ */
+function createActionMenu(
+  actions: { label: string; run: () => void }[],
+): HTMLElement {
+  const menuEl = document.createElement("details");
+  menuEl.className = "message-menu";
+
+  const summaryEl = document.createElement("summary");
+  summaryEl.textContent = "⋯";
+  summaryEl.setAttribute("aria-label", "Akcje wiadomości");
+  menuEl.appendChild(summaryEl);
+
+  const listEl = document.createElement("div");
+  listEl.className = "message-menu-list";
+  for (const action of actions) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = action.label;
+    button.addEventListener("click", () => {
+      menuEl.open = false;
+      if (!isProcessing) action.run();
+    });
+    listEl.appendChild(button);
+  }
+  menuEl.appendChild(listEl);
+
+  return menuEl;
+}
+
+/**
+ * Turn a user message into an inline editor
+ */
+function startEdit(messageEl: HTMLElement, message: ConversationMessage): void {
+  messageEl.innerHTML = "";
+  messageEl.classList.add("message-editing");
+
+  const editorEl = document.createElement("textarea");
+  editorEl.className = "message-editor";
+  editorEl.value = message.content;
+  editorEl.setAttribute("aria-label", "Edytuj wiadomość");
+
+  const saveButton = document.createElement("button");
+  saveButton.type = "button";
+  saveButton.textContent = "Wyślij";
+
+  const cancelButton = document.createElement("button");
+  cancelButton.type = "button";
+  cancelButton.textContent = "Anuluj";
+
+  const buttonsEl = document.createElement("div");
+  buttonsEl.className = "message-editor-actions";
+  buttonsEl.append(cancelButton, saveButton);
+  messageEl.append(editorEl, buttonsEl);
+  editorEl.focus();
+
+  cancelButton.addEventListener("click", () => {
+    renderHistory().catch((e) => console.warn("Failed to render history:", e));
+  });
+  saveButton.addEventListener("click", () => {
+    const newContent = editorEl.value.trim();
+    if (!newContent || isProcessing) return;
+    editMessage(messageEl, message.id, newContent);
+  });
+}
+
+/**
+ * Resend an edited user message; the old branch stays as a version
+ */
+async function editMessage(
+  messageEl: HTMLElement,
+  id: string,
+  newContent: string,
+): Promise<void> {
+  // Drop the bubbles after the edit point, they move to the old version
+  while (messageEl.nextElementSibling) {
+    messageEl.nextElementSibling.remove();
+  }
+  messageEl.classList.remove("message-editing");
+  messageEl.textContent = newContent;
+
+  await runGeneration((session, onStream, signal) =>
+    session.editMessage(id, newContent, onStream, signal),
+  );
+}
+
+/**
+ * Generate a new version of the last assistant reply
+ */
+async function regenerateLastMessage(messageEl: HTMLElement): Promise<void> {
+  messageEl.remove();
+
+  await runGeneration((session, onStream, signal) =>
+    session.regenerateLast(onStream, signal),
+  );
+}
+
+/**
+ * Flip a message to another version and re-render the conversation
+ */
+async function switchVersion(id: string, versionIndex: number): Promise<void> {
+  if (isProcessing) return;
+
+  try {
+    const session = await getSession();
+    await session.switchVersion(id, versionIndex);
+    await renderHistory();
+    updateStats();
   } catch (e) {
-    console.warn("Failed to load history:", e);
+    console.warn("Failed to switch version:", e);
   }
 }
 
@@ -106,6 +461,13 @@ async function handleSubmit(e: Event): Promise<void> {
   await sendMessage(content);
 }
 
+/**
+ * Abort the in-flight generation
+ */
+function handleStop(): void {
+  abortController?.abort();
+}
+
 /**
  * Handle input changes for send button state
  */
@@ -145,48 +507,174 @@ function resetTextareaHeight(): void {
 function updateSendButtonState(): void {
   const hasContent = inputField.value.trim().length > 0;
   sendButton.disabled = !hasContent || isProcessing;
+
+  // Stop replaces send while a response is being generated
+  if (stopButton) {
+    sendButton.hidden = isProcessing;
+    stopButton.hidden = !isProcessing;
+  }
 }
 
 /**
  * Send a message and get response
  */
 async function sendMessage(content: string): Promise<void> {
+  // Add user message to UI immediately
+  appendMessage("user", content);
+
+  await runGeneration((session, onStream, signal) =>
+    session.sendMessage(content, onStream, signal),
+  );
+}
+
+/**
+ * Retry the reply to the last user message after a failure
+ */
+async function retryLastMessage(): Promise<void> {
+  if (isProcessing) return;
+
+  await runGeneration((session, onStream, signal) =>
+    session.retryLast(onStream, signal),
+  );
+}
+
+/**
+ * Run a generation with streaming into a new assistant bubble,
+ * Stop button support and per-kind error reporting
+ */
+async function runGeneration(
+  generate: (
+    session: ChatSessionType,
+    onStream: (partial: string) => void,
+    signal: AbortSignal,
+  ) => Promise<string>,
+): Promise<void> {
   isProcessing = true;
+  abortController = new AbortController();
+  const { signal } = abortController;
   updateSendButtonState();
   showLoading(true);
 
-  // Add user message to UI immediately
-  appendMessage("user", content);
+  // Create a placeholder for streaming response
+  const responseEl = appendMessage("assistant", "", true);
 
   try {
-    // Create a placeholder for streaming response
-    const responseEl = appendMessage("assistant", "", true);
-    let currentContent = "";
-
     // Stream the response
     const session = await getSession();
-    await session.sendMessage(content, (partial) => {
-      currentContent = partial;
-      responseEl.textContent = partial;
-      scrollToBottom();
-    });
+    await generate(
+      session,
+      (partial) => {
+        responseEl.textContent = partial;
+        scrollToBottom();
+      },
+      signal,
+    );
 
-    // Ensure final content is displayed
-    if (responseEl.textContent !== currentContent) {
-      responseEl.textContent = currentContent;
-    }
+    // Replace the temporary bubbles with the stored messages
+    await renderHistory();
   } catch (error) {
+    responseEl.remove();
+    if (signal.reason === VAULT_LOCKED) return;
     console.error("Failed to send message:", error);
-    appendMessage(
-      "assistant",
-      "Przepraszam, wystąpił błąd. Spróbuj ponownie za chwilę.",
-    );
+    appendError(error);
   } finally {
     isProcessing = false;
+    abortController = null;
     showLoading(false);
     updateSendButtonState();
-    scrollToBottom();
-    updateStats();
+    if (signal.reason !== VAULT_LOCKED) {
+      scrollToBottom();
+      updateStats();
+      // The first message names a new session
+      updateSessionTitle();
+      refreshSessionList();
+    }
+  }
+}
+
+/**
+ * Read the last active session id (localStorage may be unavailable)
+ */
+function readActiveSessionId(): string {
+  try {
+    return localStorage.getItem(ACTIVE_SESSION_STORAGE_KEY) || "default";
+  } catch {
+    return "default";
+  }
+}
+
+/**
+ * Switch the widget to another conversation thread
+ */
+async function selectSession(sessionId: string): Promise<void> {
+  if (isProcessing) return;
+
+  activeSessionId = sessionId;
+  try {
+    localStorage.setItem(ACTIVE_SESSION_STORAGE_KEY, sessionId);
+  } catch {
+    // Not persisted; the session still switches for this page view
+  }
+
+  try {
+    const session = await getSession();
+    session.switchSession(sessionId);
+
+    messagesContainer.innerHTML = "";
+    historyLoaded = true;
+    await renderHistory();
+  } catch (e) {
+    console.warn("Failed to switch session:", e);
+  }
+
+  updateSessionTitle();
+  updateStats();
+}
+
+/**
+ * Show the active session's title in the toolbar
+ */
+async function updateSessionTitle(): Promise<void> {
+  if (!sessionTitle) return;
+
+  try {
+    const store = await import("../services/memory-store");
+    const record = await store.getSessionRecord(activeSessionId);
+    sessionTitle.textContent = record?.title ?? store.DEFAULT_SESSION_TITLE;
+  } catch {
+    sessionTitle.textContent = "";
+  }
+}
+
+/**
+ * Show an error bubble with a kind-specific message and, where a manual
+ * retry can help, a "Retry" action
+ */
+function appendError(error: unknown): void {
+  if (!(error instanceof LLMError)) {
+    const el = appendMessage(
+      "assistant",
+      "Przepraszam, wystąpił błąd. Spróbuj ponownie za chwilę.",
+    );
+    el.classList.add("message-error");
+    return;
+  }
+
+  const el = appendMessage("assistant", error.message);
+  el.classList.add("message-error");
+  el.dataset.errorKind = error.kind;
+
+  if (USER_RETRYABLE_KINDS.has(error.kind)) {
+    const retryButton = document.createElement("button");
+    retryButton.type = "button";
+    retryButton.className = "message-retry-btn";
+    retryButton.textContent = "Spróbuj ponownie";
+    retryButton.addEventListener("click", () => {
+      if (isProcessing) return;
+      el.remove();
+      retryLastMessage();
+    });
+    el.appendChild(retryButton);
   }
 }
 
@@ -243,6 +731,70 @@ function handleMessagesEvicted(messages: ConversationMessage[]): void {
   console.debug(`${messages.length} messages archived to vector DB`);
 }
 
+/**
+ * Reveal the crisis help card; it stays for the rest of the visit
+ */
+function showCrisisCard(): void {
+  if (!crisisCard || !crisisCard.hidden) return;
+
+  crisisCard.hidden = false;
+  crisisCard.scrollIntoView({ block: "nearest" });
+}
+
+/**
+ * Drop all decrypted content from the page when the vault locks
+ */
+function handleVaultLocked(): void {
+  abortController?.abort(VAULT_LOCKED);
+  messagesContainer.innerHTML = "";
+  historyLoaded = false;
+  inputField.value = "";
+  updateSendButtonState();
+  if (sessionTitle) sessionTitle.textContent = "";
+  statsContainer.textContent = "";
+  clearSessionList();
+}
+
+/**
+ * Stop generating before the page is blanked for a quick exit
+ */
+function handleQuickExit(mode: QuickExitMode): void {
+  abortController?.abort();
+  if (mode !== "wipe") return;
+
+  try {
+    localStorage.removeItem(ACTIVE_SESSION_STORAGE_KEY);
+  } catch {
+    // Nothing stored
+  }
+}
+
+/**
+ * Re-render after retention deleted stored data
+ */
+async function handleDataExpired(): Promise<void> {
+  if (isProcessing) return;
+
+  if (historyLoaded) {
+    await renderHistory().catch((e) =>
+      console.warn("Failed to render history:", e),
+    );
+  }
+  updateSessionTitle();
+  refreshSessionList();
+  updateStats();
+}
+
+/**
+ * Show the conversation again after unlocking
+ */
+async function handleVaultUnlocked(): Promise<void> {
+  await loadHistory();
+  updateSessionTitle();
+  refreshSessionList();
+  updateStats();
+}
+
 /**
  * Toggle stats display
  */
@@ -254,6 +806,23 @@ function toggleStats(): void {
   }
 }
 
+/**
+ * Format one level of memory usage for the stats panel
+ */
+function formatUsage(usage: MemoryUsage): string {
+  return `${usage.messageCount} wiadomości | ${(usage.tokenTotal / 1000).toFixed(1)}k tokenów (${usage.percentUsed.toFixed(1)}%)`;
+}
+
+/**
+ * Embedding cache hit rate line for the stats panel
+ */
+function formatCacheStats(cache: EmbeddingCacheStats): string {
+  const hits = cache.memoryHits + cache.storedHits;
+  const total = hits + cache.misses;
+  const rate = total === 0 ? 0 : (hits / total) * 100;
+  return `Cache embeddingów: ${rate.toFixed(0)}% trafień (${hits}/${total}, z dysku ${cache.storedHits})`;
+}
+
 /**
  * Update stats display
  */
@@ -263,7 +832,13 @@ async function updateStats(): Promise<void> {
   try {
     const session = await getSession();
     const stats = await session.getStats();
-    statsContainer.textContent = `Pamięć: ${stats.messageCount} wiadomości | ${(stats.tokenTotal / 1000).toFixed(1)}k tokenów (${stats.percentUsed.toFixed(1)}%)`;
+    const { getEmbeddingCacheStats } = await import("../services/embeddings");
+    const cache = await getEmbeddingCacheStats().catch(() => null);
+    const sessionUsage = stats.session
+      ? `Rozmowa: ${formatUsage(stats.session)} · `
+      : "";
+    const cacheUsage = cache ? ` · ${formatCacheStats(cache)}` : "";
+    statsContainer.textContent = `${sessionUsage}Łącznie: ${formatUsage(stats)} · Polityka: ${stats.policy}${cacheUsage}`;
   } catch (e) {
     statsContainer.textContent = "Błąd ładowania statystyk";
   }
@@ -274,8 +849,10 @@ async function getSession(): Promise<ChatSessionType> {
 
   const mod = await import("../services/chat-session");
   chatSession = new mod.ChatSession({
+    sessionId: activeSessionId,
     onMessageAdded: handleMessageAdded,
     onEvicted: handleMessagesEvicted,
+    onCrisisDetected: showCrisisCard,
   });
 
   return chatSession;
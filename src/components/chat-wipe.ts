@@ -0,0 +1,62 @@
+/**
+ * Chat Data Wipe Logic
+ * "Delete all my data" action, confirmed twice, with a summary of the result
+ */
+
+export interface DataWipeOptions {
+  // Stop generation and drop widget state before the data goes
+  onBeforeWipe: () => void;
+  // While a reply is generating, wiping is blocked
+  isBusy: () => boolean;
+}
+
+let options: DataWipeOptions;
+
+/**
+ * Initialize the wipe button
+ */
+export function initDataWipe(wipeOptions: DataWipeOptions): void {
+  options = wipeOptions;
+  document
+    .getElementById("chat-wipe-btn")
+    ?.addEventListener("click", handleWipe);
+}
+
+/**
+ * Confirm twice, wipe everything, report, then reload into a clean state
+ */
+async function handleWipe(): Promise<void> {
+  if (options.isBusy()) return;
+
+  if (
+    !confirm(
+      "Usunąć wszystkie rozmowy, podsumowania, archiwum wyszukiwania, pobrane modele i ustawienia z tej przeglądarki?",
+    ) ||
+    !confirm("Tej operacji nie można cofnąć. Na pewno usunąć wszystko?")
+  ) {
+    return;
+  }
+
+  options.onBeforeWipe();
+
+  const { wipeAllUserData } = await import("../services/data-wipe");
+  const report = await wipeAllUserData();
+
+  const lines = report.steps.map(
+    (step) => `${step.ok ? "✓" : "✗"} ${step.target}`,
+  );
+  if (report.remaining.length > 0) {
+    lines.push("", "Nadal obecne:", ...report.remaining);
+  }
+  alert(
+    [
+      report.verified
+        ? "Wszystkie dane zostały usunięte."
+        : "Nie wszystko udało się usunąć.",
+      "",
+      ...lines,
+    ].join("\n"),
+  );
+
+  location.reload();
+}
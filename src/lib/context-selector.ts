@@ -0,0 +1,189 @@
+/**
+ * Context selection for retrieved chunks
+ * Picks what goes into the prompt: maximal marginal relevance (MMR) so
+ * near-duplicates do not crowd out other fragments, optional recency
+ * decay, trimming of the text adjacent chunks share, and a token budget
+ */
+
+import { estimateTokens } from "./token-utils";
+
+export interface ContextCandidate {
+  id: string;
+  text: string;
+  // Retrieval score; only the order and ratios matter (normalized here)
+  score: number;
+  // When the fragment was said (ISO timestamp)
+  date: string;
+  embedding?: number[];
+}
+
+export interface ContextSelectionConfig {
+  maxTokens: number;
+  // MMR trade-off: 1 = relevance only, 0 = diversity only
+  mmrLambda: number;
+  // Relevance halves every this many days; 0 disables recency decay
+  recencyHalfLifeDays: number;
+  // Drop a candidate when this share of it is already selected
+  maxOverlap: number;
+}
+
+// Tokens taken by the separator between fragments
+const SEPARATOR_TOKENS = 2;
+// Shortest shared edge treated as chunk overlap rather than coincidence
+const MIN_EDGE_OVERLAP_CHARS = 24;
+const SHINGLE_WORDS = 4;
+
+function cosineSimilarity(a: number[], b: number[]): number {
+  if (a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  const magnitude = Math.sqrt(normA) * Math.sqrt(normB);
+  return magnitude === 0 ? 0 : dot / magnitude;
+}
+
+/**
+ * Overlapping word n-grams, for text similarity without embeddings
+ */
+function shingles(text: string): Set<string> {
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+  const result = new Set<string>();
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) {
+    result.add(words.slice(i, i + SHINGLE_WORDS).join(" "));
+  }
+  if (result.size === 0 && words.length > 0) result.add(words.join(" "));
+  return result;
+}
+
+/**
+ * Share of the smaller text's shingles found in the other
+ */
+function containment(a: Set<string>, b: Set<string>): number {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  if (small.size === 0) return 0;
+  let shared = 0;
+  for (const shingle of small) if (large.has(shingle)) shared++;
+  return shared / small.size;
+}
+
+/**
+ * Length of the longest suffix of a that is a prefix of b
+ */
+function edgeOverlap(a: string, b: string): number {
+  const probe = b.slice(0, MIN_EDGE_OVERLAP_CHARS);
+  if (probe.length < MIN_EDGE_OVERLAP_CHARS) return 0;
+
+  let index = a.indexOf(probe);
+  while (index !== -1) {
+    if (b.startsWith(a.slice(index))) return a.length - index;
+    index = a.indexOf(probe, index + 1);
+  }
+  return 0;
+}
+
+/**
+ * Remove the text a candidate shares with a selected neighbour at either
+ * edge (chunks split with ARCHIVE_OVERLAP repeat each other's borders)
+ */
+function trimSharedEdges(text: string, selected: string[]): string {
+  let result = text;
+  for (const other of selected) {
+    const head = edgeOverlap(other, result);
+    if (head > 0) result = result.slice(head).trimStart();
+    const tail = edgeOverlap(result, other);
+    if (tail > 0) result = result.slice(0, -tail).trimEnd();
+  }
+  return result;
+}
+
+/**
+ * Relevance in [0, 1]: score relative to the best candidate, decayed by
+ * age when a half-life is set
+ */
+function relevanceOf(
+  candidate: ContextCandidate,
+  bestScore: number,
+  halfLifeDays: number,
+  now: number,
+): number {
+  let relevance = bestScore > 0 ? Math.max(candidate.score, 0) / bestScore : 0;
+  if (halfLifeDays > 0) {
+    const ageDays = Math.max(0, now - Date.parse(candidate.date)) / 86_400_000;
+    if (Number.isFinite(ageDays)) relevance *= 0.5 ** (ageDays / halfLifeDays);
+  }
+  return relevance;
+}
+
+/**
+ * Choose the fragments to inject, in selection order (most useful first)
+ * Texts of the returned candidates may be trimmed where they overlapped
+ * an already selected fragment.
+ */
+export function selectContext<T extends ContextCandidate>(
+  candidates: T[],
+  config: ContextSelectionConfig,
+  now = Date.now(),
+): T[] {
+  const bestScore = Math.max(0, ...candidates.map((c) => c.score));
+  const pool = candidates.map((candidate) => ({
+    candidate,
+    relevance: relevanceOf(
+      candidate,
+      bestScore,
+      config.recencyHalfLifeDays,
+      now,
+    ),
+    shingles: shingles(candidate.text),
+  }));
+
+  const selected: ((typeof pool)[number] & { text: string })[] = [];
+  let usedTokens = 0;
+
+  const similarity = (a: (typeof pool)[number], b: (typeof pool)[number]) =>
+    a.candidate.embedding && b.candidate.embedding
+      ? cosineSimilarity(a.candidate.embedding, b.candidate.embedding)
+      : containment(a.shingles, b.shingles);
+
+  while (pool.length > 0) {
+    // MMR: relevance minus similarity to what is already selected
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+    pool.forEach((item, index) => {
+      const redundancy = Math.max(
+        0,
+        ...selected.map((s) => similarity(item, s)),
+      );
+      const value =
+        config.mmrLambda * item.relevance - (1 - config.mmrLambda) * redundancy;
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = index;
+      }
+    });
+    const [item] = pool.splice(bestIndex, 1);
+
+    // Mostly the same text as a selected fragment (e.g. archived twice)
+    const duplicate = selected.some(
+      (s) => containment(item.shingles, s.shingles) >= config.maxOverlap,
+    );
+    if (duplicate) continue;
+
+    const text = trimSharedEdges(
+      item.candidate.text,
+      selected.map((s) => s.text),
+    );
+    const tokens = estimateTokens(text) + SEPARATOR_TOKENS;
+    // Skip what does not fit; a shorter fragment further down still may
+    if (!text || usedTokens + tokens > config.maxTokens) continue;
+
+    selected.push({ ...item, text });
+    usedTokens += tokens;
+  }
+
+  return selected.map((s) => ({ ...s.candidate, text: s.text }));
+}
@@ -0,0 +1,310 @@
+/**
+ * Conversation export/import formats
+ * Versioned JSON for moving a history between browsers, plus Markdown and
+ * plain-text transcripts for reading (e.g. sharing with a therapist)
+ */
+
+import type {
+  ConversationMessage,
+  SessionRecord,
+  SessionSummary,
+} from "../services/memory-store";
+import { foldPolish } from "./polish-text";
+
+export type ExportFormat = "json" | "markdown" | "text";
+
+export const EXPORT_FORMAT_ID = "terapeuta-conversation";
+export const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Versioned JSON export document
+ */
+export interface ConversationExport {
+  format: typeof EXPORT_FORMAT_ID;
+  version: number;
+  exportedAt: string;
+  session: SessionRecord;
+  summary: SessionSummary | null;
+  // Active branch, oldest first; alternate versions are nested in `versions`
+  messages: ConversationMessage[];
+}
+
+const ROLE_LABELS: Record<ConversationMessage["role"], string> = {
+  user: "Ty",
+  assistant: "Asystent",
+  system: "System",
+};
+
+const FILE_EXTENSIONS: Record<ExportFormat, string> = {
+  json: "json",
+  markdown: "md",
+  text: "txt",
+};
+
+const MIME_TYPES: Record<ExportFormat, string> = {
+  json: "application/json",
+  markdown: "text/markdown",
+  text: "text/plain",
+};
+
+/**
+ * Drop retrieval citations: they quote other conversations, which an
+ * export of this one should not leak
+ */
+function withoutCitations(message: ConversationMessage): ConversationMessage {
+  const { citations: _citations, ...rest } = message;
+  return {
+    ...rest,
+    versions: message.versions?.map(
+      ({ citations: _versionCitations, ...version }) => ({
+        ...version,
+        following: version.following.map(withoutCitations),
+      }),
+    ),
+  };
+}
+
+/**
+ * Build the export document
+ */
+export function createConversationExport(
+  session: SessionRecord,
+  messages: ConversationMessage[],
+  summary: SessionSummary | null,
+): ConversationExport {
+  return {
+    format: EXPORT_FORMAT_ID,
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    session,
+    summary,
+    messages: messages.map(withoutCitations),
+  };
+}
+
+/**
+ * Format a timestamp for transcripts
+ */
+function formatDate(iso: string): string {
+  return new Date(iso).toLocaleString("pl-PL");
+}
+
+/**
+ * Render an export as Markdown (active versions only)
+ */
+function renderMarkdown(data: ConversationExport): string {
+  const lines = [
+    `# ${data.session.title}`,
+    "",
+    `_Rozmowa rozpoczęta ${formatDate(data.session.createdAt)}, eksport ${formatDate(data.exportedAt)}._`,
+    "",
+  ];
+
+  if (data.summary) {
+    lines.push(
+      "## Podsumowanie wcześniejszej części rozmowy",
+      "",
+      ...data.summary.content.split("\n").map((line) => `> ${line}`),
+      "",
+    );
+  }
+
+  for (const msg of data.messages) {
+    lines.push(
+      `### ${ROLE_LABELS[msg.role]} — ${formatDate(msg.createdAt)}`,
+      "",
+      msg.content,
+      "",
+    );
+    if (msg.interrupted) lines.push("_(przerwano)_", "");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Render an export as a plain-text transcript (active versions only)
+ */
+function renderText(data: ConversationExport): string {
+  const lines = [
+    data.session.title,
+    `Rozmowa rozpoczęta ${formatDate(data.session.createdAt)}, eksport ${formatDate(data.exportedAt)}`,
+    "",
+  ];
+
+  if (data.summary) {
+    lines.push(
+      "Podsumowanie wcześniejszej części rozmowy:",
+      data.summary.content,
+      "",
+    );
+  }
+
+  for (const msg of data.messages) {
+    const note = msg.interrupted ? " (przerwano)" : "";
+    lines.push(
+      `${ROLE_LABELS[msg.role]} [${formatDate(msg.createdAt)}]${note}:`,
+      msg.content,
+      "",
+    );
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Serialize an export in the requested format
+ */
+export function renderConversationExport(
+  data: ConversationExport,
+  format: ExportFormat,
+): string {
+  switch (format) {
+    case "json":
+      return JSON.stringify(data, null, 2);
+    case "markdown":
+      return renderMarkdown(data);
+    case "text":
+      return renderText(data);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Suggested download file name and MIME type for an export
+ */
+export function exportFileInfo(
+  session: Pick<SessionRecord, "title">,
+  format: ExportFormat,
+): { fileName: string; mimeType: string } {
+  const slug =
+    foldPolish(session.title)
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 40) || "rozmowa";
+  const date = new Date().toISOString().slice(0, 10);
+
+  return {
+    fileName: `${slug}-${date}.${FILE_EXTENSIONS[format]}`,
+    mimeType: MIME_TYPES[format],
+  };
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isISODate(value: unknown): boolean {
+  return typeof value === "string" && !isNaN(Date.parse(value));
+}
+
+/**
+ * Validate one message (and, recursively, its stored versions)
+ */
+function validateMessage(value: unknown, path: string): ConversationMessage {
+  if (!isObject(value)) throw new Error(`${path} must be an object`);
+  if (typeof value.id !== "string") throw new Error(`${path}.id is missing`);
+  if (!["user", "assistant", "system"].includes(value.role as string)) {
+    throw new Error(`${path}.role is invalid`);
+  }
+  if (typeof value.content !== "string") {
+    throw new Error(`${path}.content must be a string`);
+  }
+  if (!isISODate(value.createdAt)) {
+    throw new Error(`${path}.createdAt must be an ISO date`);
+  }
+
+  if (value.versions !== undefined) {
+    if (!Array.isArray(value.versions) || value.versions.length === 0) {
+      throw new Error(`${path}.versions must be a non-empty array`);
+    }
+    value.versions.forEach((version: unknown, i: number) => {
+      if (!isObject(version) || typeof version.content !== "string") {
+        throw new Error(`${path}.versions[${i}] is invalid`);
+      }
+      if (!isISODate(version.createdAt)) {
+        throw new Error(`${path}.versions[${i}].createdAt must be an ISO date`);
+      }
+      if (!Array.isArray(version.following)) {
+        throw new Error(`${path}.versions[${i}].following must be an array`);
+      }
+      version.following.forEach((msg: unknown, j: number) =>
+        validateMessage(msg, `${path}.versions[${i}].following[${j}]`),
+      );
+    });
+  }
+
+  // Without versions the message is its own single version
+  const versionCount = Array.isArray(value.versions)
+    ? value.versions.length
+    : 1;
+  const active = value.activeVersion;
+  if (
+    active !== undefined &&
+    !(
+      typeof active === "number" &&
+      Number.isInteger(active) &&
+      active >= 0 &&
+      active < versionCount
+    )
+  ) {
+    throw new Error(`${path}.activeVersion must be an index into versions`);
+  }
+
+  return value as unknown as ConversationMessage;
+}
+
+/**
+ * Parse and validate a JSON export
+ * @throws Error describing the first schema violation
+ */
+export function parseConversationExport(json: string): ConversationExport {
+  let value: unknown;
+  try {
+    value = JSON.parse(json);
+  } catch {
+    throw new Error("File is not valid JSON");
+  }
+
+  if (!isObject(value) || value.format !== EXPORT_FORMAT_ID) {
+    throw new Error("File is not a conversation export");
+  }
+  if (
+    typeof value.version !== "number" ||
+    value.version < 1 ||
+    value.version > EXPORT_FORMAT_VERSION
+  ) {
+    throw new Error(`Unsupported export version: ${String(value.version)}`);
+  }
+
+  const session = value.session;
+  if (
+    !isObject(session) ||
+    typeof session.id !== "string" ||
+    typeof session.title !== "string" ||
+    typeof session.createdAt !== "string" ||
+    isNaN(Date.parse(session.createdAt)) ||
+    (session.archived !== undefined && typeof session.archived !== "boolean")
+  ) {
+    throw new Error("session is invalid");
+  }
+
+  const summary = value.summary;
+  if (
+    summary != null &&
+    (!isObject(summary) ||
+      typeof summary.content !== "string" ||
+      typeof summary.messageCount !== "number" ||
+      typeof summary.coveredUntil !== "string")
+  ) {
+    throw new Error("summary is invalid");
+  }
+
+  if (!Array.isArray(value.messages)) {
+    throw new Error("messages must be an array");
+  }
+  value.messages.forEach((msg, i) => validateMessage(msg, `messages[${i}]`));
+
+  return value as unknown as ConversationExport;
+}
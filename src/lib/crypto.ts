@@ -0,0 +1,94 @@
+/**
+ * Encryption at rest - WebCrypto helpers
+ * PBKDF2-SHA-256 key derivation from a passphrase (WebCrypto has no
+ * Argon2, so we compensate with a high iteration count) and AES-GCM with
+ * a fresh random IV per value. Shared by the main thread and workers.
+ */
+
+export const PBKDF2_ITERATIONS = 600_000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * AES-GCM ciphertext as stored in IndexedDB
+ */
+export interface EncryptedValue {
+  iv: Uint8Array<ArrayBuffer>;
+  ciphertext: ArrayBuffer;
+}
+
+/**
+ * Random salt for a new passphrase
+ */
+export function generateSalt(): Uint8Array<ArrayBuffer> {
+  return crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+}
+
+/**
+ * Derive a non-extractable AES-GCM key from a passphrase
+ */
+export async function deriveKey(
+  passphrase: string,
+  salt: Uint8Array<ArrayBuffer>,
+  iterations: number = PBKDF2_ITERATIONS,
+): Promise<CryptoKey> {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"],
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+/**
+ * Encrypt a string
+ */
+export async function encryptText(
+  key: CryptoKey,
+  text: string,
+): Promise<EncryptedValue> {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(text),
+  );
+  return { iv, ciphertext };
+}
+
+/**
+ * Decrypt a string
+ * @throws DOMException (OperationError) for a wrong key or tampered data
+ */
+export async function decryptText(
+  key: CryptoKey,
+  value: EncryptedValue,
+): Promise<string> {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: value.iv },
+    key,
+    value.ciphertext,
+  );
+  return new TextDecoder().decode(plaintext);
+}
+
+/**
+ * Whether a stored value is ciphertext rather than plaintext
+ */
+export function isEncryptedValue(value: unknown): value is EncryptedValue {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    (value as EncryptedValue).iv instanceof Uint8Array &&
+    (value as EncryptedValue).ciphertext instanceof ArrayBuffer
+  );
+}
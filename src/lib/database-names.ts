@@ -0,0 +1,14 @@
+/**
+ * IndexedDB database names - the one list of where user data is stored,
+ * shared by the stores that open them and the wipes that delete them
+ */
+
+export const MEMORY_DB_NAME = "terapeuta-memory";
+export const VECTOR_DB_NAME = "terapeuta_vectors";
+export const EMBEDDING_CACHE_DB_NAME = "terapeuta_embeddings";
+
+export const DATABASE_NAMES = [
+  MEMORY_DB_NAME,
+  VECTOR_DB_NAME,
+  EMBEDDING_CACHE_DB_NAME,
+];
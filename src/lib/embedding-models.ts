@@ -0,0 +1,95 @@
+/**
+ * Embedding model registry - every model the app can embed with, its
+ * output size, precision, licence and the task prompts it was trained
+ * with. EmbeddingGemma expects queries and documents to be prefixed
+ * differently; raw text on both sides costs retrieval quality.
+ * Stored vectors are stamped with the registry key and prompt version,
+ * so vectors from another model are never compared with the query.
+ * The raw task embeds text unwrapped, matching the training vectors in
+ * Firestore (training-embeddings.js, vector-search.js).
+ */
+
+export type EmbeddingTask =
+  "query" | "document" | "classification" | "clustering" | "raw";
+
+export interface EmbeddingModel {
+  // Registry key, stamped on stored vectors
+  key: string;
+  // Hugging Face repository (fetched through the /hf proxy)
+  id: string;
+  dim: number;
+  // Prefix sizes that still work as embeddings (Matryoshka), largest first
+  matryoshkaDims: number[];
+  // ONNX weights to load
+  dtype: "fp32" | "fp16" | "q8";
+  // Bumped whenever the prompts change; stored with every archived vector
+  promptVersion: number;
+  // Template per task; "{text}" is replaced by the input
+  prompts: Record<EmbeddingTask, string>;
+  license: string;
+}
+
+// Version of vectors embedded from raw text, before prompts were applied
+export const RAW_PROMPT_VERSION = 0;
+
+export const EMBEDDING_MODELS: Record<string, EmbeddingModel> = {
+  "embeddinggemma-300m": {
+    key: "embeddinggemma-300m",
+    id: "onnx-community/embeddinggemma-300m-ONNX",
+    dim: 768,
+    matryoshkaDims: [768, 512, 256, 128],
+    // Activations overflow in fp16
+    dtype: "fp32",
+    promptVersion: 1,
+    prompts: {
+      query: "task: search result | query: {text}",
+      document: "title: none | text: {text}",
+      classification: "task: classification | query: {text}",
+      clustering: "task: clustering | query: {text}",
+      raw: "{text}",
+    },
+    license: "Gemma Terms of Use",
+  },
+  "multilingual-e5-small": {
+    key: "multilingual-e5-small",
+    id: "Xenova/multilingual-e5-small",
+    dim: 384,
+    matryoshkaDims: [384],
+    dtype: "q8",
+    promptVersion: 1,
+    prompts: {
+      query: "query: {text}",
+      document: "passage: {text}",
+      classification: "query: {text}",
+      clustering: "query: {text}",
+      raw: "{text}",
+    },
+    license: "MIT",
+  },
+};
+
+export const DEFAULT_EMBEDDING_MODEL = "embeddinggemma-300m";
+
+// Model of vectors archived before vectors were stamped with one
+export const LEGACY_EMBEDDING_MODEL = "embeddinggemma-300m";
+
+/**
+ * Registry entry for a key
+ * @throws Error for a key not in the registry
+ */
+export function getEmbeddingModel(key: string): EmbeddingModel {
+  const model = EMBEDDING_MODELS[key];
+  if (!model) throw new Error(`Unknown embedding model: ${key}`);
+  return model;
+}
+
+/**
+ * Input text wrapped in the model's prompt for the task
+ */
+export function applyTaskPrompt(
+  model: EmbeddingModel,
+  task: EmbeddingTask,
+  text: string,
+): string {
+  return model.prompts[task].replace("{text}", () => text);
+}
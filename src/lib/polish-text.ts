@@ -0,0 +1,149 @@
+/**
+ * Polish text normalization for matching and lexical search
+ * Diacritic folding, stopword removal and light suffix stemming, so that
+ * "sertralina", "sertraliny" and "Sertralinę" share one search term
+ */
+
+// Common words that carry no search signal (already folded), plus the
+// role markers archived chunks are prefixed with
+const STOPWORDS = new Set([
+  "a",
+  "aby",
+  "ale",
+  "albo",
+  "bo",
+  "by",
+  "byc",
+  "byl",
+  "byla",
+  "bylo",
+  "co",
+  "czy",
+  "dla",
+  "do",
+  "gdy",
+  "i",
+  "ich",
+  "ja",
+  "jak",
+  "jego",
+  "jej",
+  "jest",
+  "jestem",
+  "juz",
+  "kiedy",
+  "ktora",
+  "ktore",
+  "ktory",
+  "lub",
+  "ma",
+  "mam",
+  "mi",
+  "mnie",
+  "moj",
+  "moja",
+  "moje",
+  "my",
+  "na",
+  "nad",
+  "nie",
+  "o",
+  "od",
+  "on",
+  "ona",
+  "oni",
+  "oraz",
+  "po",
+  "pod",
+  "przez",
+  "przy",
+  "sa",
+  "sie",
+  "sobie",
+  "ta",
+  "tak",
+  "tam",
+  "te",
+  "tego",
+  "ten",
+  "to",
+  "tu",
+  "ty",
+  "tylko",
+  "tym",
+  "tez",
+  "w",
+  "wiec",
+  "wy",
+  "z",
+  "za",
+  "ze",
+  "user",
+  "assistant",
+  "system",
+]);
+
+// Inflectional endings stripped by the stemmer (folded), longest first
+const SUFFIXES = [
+  "owania",
+  "owanie",
+  "ami",
+  "ach",
+  "ego",
+  "emu",
+  "ymi",
+  "imi",
+  "ych",
+  "ich",
+  "owi",
+  "om",
+  "ow",
+  "ej",
+  "em",
+  "ie",
+  "ia",
+  "a",
+  "e",
+  "i",
+  "y",
+  "o",
+  "u",
+];
+const MIN_STEM_LENGTH = 4;
+
+/**
+ * Lowercase and fold Polish diacritics (ł has no decomposition)
+ */
+export function foldPolish(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/ł/g, "l")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+/**
+ * Strip one inflectional suffix, keeping at least MIN_STEM_LENGTH chars
+ */
+export function stemPolish(word: string): string {
+  for (const suffix of SUFFIXES) {
+    if (
+      word.endsWith(suffix) &&
+      word.length - suffix.length >= MIN_STEM_LENGTH
+    ) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+/**
+ * Split text into search terms: folded, stopwords dropped, stemmed.
+ * Numbers (dates, doses) are kept as-is.
+ */
+export function tokenizePolish(text: string): string[] {
+  return foldPolish(text)
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 0 && !STOPWORDS.has(word))
+    .map((word) => (/^\d+$/.test(word) ? word : stemPolish(word)));
+}
@@ -37,8 +37,24 @@ Jeśli rozmówca wspomina o:
 
 export const SAFETY_DISCLAIMER = `⚠️ Ważne informacje:
 • W sytuacjach kryzysowych zadzwoń: 116 123 (Telefon Zaufania)
+• W sytuacji przemocy: 800 120 002 (Niebieska Linia)
 • W nagłych przypadkach: 112`;
 
+/**
+ * Hotlines from SAFETY_DISCLAIMER, for the crisis help card
+ */
+export const CRISIS_HOTLINES = [
+  {
+    number: "116 123",
+    label: "Telefon Zaufania dla Dorosłych w Kryzysie Emocjonalnym",
+  },
+  {
+    number: "800 120 002",
+    label: "Niebieska Linia – pomoc w sytuacji przemocy",
+  },
+  { number: "112", label: "Numer alarmowy – gdy zagrożone jest życie" },
+];
+
 export const WELCOME_MESSAGE = `Cześć! Jestem Twoim asystentem do rozmów o zdrowiu psychicznym i seksualnym.
 
 Mogę pomóc Ci w:
@@ -52,3 +68,34 @@ Możesz ze mną porozmawiać o wszystkim, co Cię niepokoi. Jestem tu, żeby sł
 O czym chciałbyś/chciałabyś porozmawiać?`;
 
 export const CONTEXT_INJECTION_PROMPT = `Poniższy kontekst pochodzi z wcześniejszych rozmów i może być pomocny przy odpowiedzi. Wykorzystaj go tylko jeśli jest bezpośrednio związany z aktualnym pytaniem:`;
+
+/**
+ * Build the system message carrying retrieved context from earlier conversations
+ */
+export function buildContextMessage(context: string): string {
+  return `Poniższy kontekst pochodzi z wcześniejszych rozmów i może być pomocny:\n\n${context}`;
+}
+
+/**
+ * Build the system message carrying the rolling summary of evicted history
+ */
+export function buildSummaryMessage(summary: string): string {
+  return `Podsumowanie wcześniejszej części tej rozmowy (starsze wiadomości nie są już widoczne w historii):\n\n${summary}`;
+}
+
+// System instruction for summary requests, sent instead of SYSTEM_PROMPT
+export const SUMMARY_PROMPT = `Twoim zadaniem jest aktualizacja zwięzłego podsumowania rozmowy między użytkownikiem a asystentem. Zachowaj najważniejsze fakty o sytuacji użytkownika, jego problemy, emocje, cele, ustalenia i udzielone rady. Pomiń powitania i powtórzenia. Jeśli pojawiły się sygnały kryzysu lub zagrożenia, koniecznie je uwzględnij. Pisz w trzeciej osobie, po polsku, maksymalnie 300 słów. Odpowiedz wyłącznie treścią nowego podsumowania.`;
+
+/**
+ * Build the request that folds new transcript lines into a previous
+ * summary (the instruction itself is SUMMARY_PROMPT)
+ */
+export function buildSummaryRequest(
+  previousSummary: string | undefined,
+  transcript: string,
+): string {
+  const previous = previousSummary
+    ? `Dotychczasowe podsumowanie:\n${previousSummary}`
+    : "Dotychczasowe podsumowanie: (brak)";
+  return `${previous}\n\nNowe wiadomości do uwzględnienia:\n${transcript}`;
+}
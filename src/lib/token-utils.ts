@@ -42,6 +42,9 @@ export const TOKEN_LIMITS = {
   // Active memory window (IndexedDB) - 800k tokens as per spec
   ACTIVE_MEMORY: 800_000,
 
+  // Per-session budget under the "per-session" eviction policy
+  SESSION_MEMORY: 200_000,
+
   // Chunk size for archiving to vector DB
   ARCHIVE_CHUNK_SIZE: 500,
 
@@ -51,6 +54,9 @@ export const TOKEN_LIMITS = {
   // Maximum context to retrieve from vector DB
   MAX_RETRIEVED_CONTEXT: 4000,
 
+  // Evicted history folded into the rolling summary per LLM call
+  SUMMARY_BATCH: 16_000,
+
   // Buffer to leave for response generation
   RESPONSE_BUFFER: 8000,
 };
@@ -5,38 +5,96 @@
 
 import {
   generateResponse,
+  generateSummary,
   streamResponse,
   type ChatMessage,
 } from "./llm-client";
 import {
   addMessage,
+  branchMessage,
+  getMessage,
+  getMessages,
   getRecentMessages,
+  getSessionRecord,
+  getSummary,
+  importSession,
+  restoreMessages,
+  saveSummary,
+  setCitationIrrelevant,
+  switchMessageVersion,
+  DEFAULT_SESSION_ID,
+  DEFAULT_SESSION_TITLE,
   getMemoryStats,
   type ConversationMessage,
+  type MemoryStats,
+  type MessageCitation,
+  type MessageExtras,
+  type SessionRecord,
 } from "./memory-store";
-import { archiveMessages, getRelevantContext } from "./vector-store";
+import {
+  archiveMessages,
+  getRelevantContext,
+  setChunksIrrelevant,
+  type ContextSearchResult,
+} from "./vector-store";
+import { assessCrisis, type CrisisAssessment } from "./crisis-detector";
 import { TOKEN_LIMITS } from "../lib/token-utils";
+import {
+  createConversationExport,
+  parseConversationExport,
+  renderConversationExport,
+  type ExportFormat,
+} from "../lib/conversation-export";
 import { WELCOME_MESSAGE } from "../lib/prompts";
 
 export interface ChatSessionConfig {
   sessionId?: string;
   useContext?: boolean;
+  // Retrieve archived context from all conversations, not just this one
+  crossSessionContext?: boolean;
   onMessageAdded?: (message: ConversationMessage) => void;
   onEvicted?: (messages: ConversationMessage[]) => void;
+  // Local crisis pre-screen of each user message (default: on)
+  crisisScreening?: boolean;
+  // Called before the LLM call when a user message looks like a crisis
+  onCrisisDetected?: (assessment: CrisisAssessment) => void;
+}
+
+/**
+ * Record a retrieved chunk as a citation of the reply it informed
+ */
+function toCitation(source: ContextSearchResult): MessageCitation {
+  return {
+    chunkId: source.id,
+    text: source.text,
+    score: source.vectorScore,
+    keywordMatch: source.lexicalScore > 0,
+    sessionId: source.sessionId,
+    date: source.endedAt ?? source.createdAt,
+  };
 }
 
 export class ChatSession {
   private sessionId: string;
   private useContext: boolean;
+  private crossSessionContext: boolean;
   private onMessageAdded?: (message: ConversationMessage) => void;
   private onEvicted?: (messages: ConversationMessage[]) => void;
+  private crisisScreening: boolean;
+  private onCrisisDetected?: (assessment: CrisisAssessment) => void;
   private isInitialized = false;
+  // Archived messages waiting to be folded into their sessions' summaries
+  private pendingSummaries = new Map<string, ConversationMessage[]>();
+  private summarizing: Promise<void> | null = null;
 
   constructor(config: ChatSessionConfig = {}) {
-    this.sessionId = config.sessionId || "default";
+    this.sessionId = config.sessionId || DEFAULT_SESSION_ID;
     this.useContext = config.useContext ?? true;
+    this.crossSessionContext = config.crossSessionContext ?? false;
     this.onMessageAdded = config.onMessageAdded;
     this.onEvicted = config.onEvicted;
+    this.crisisScreening = config.crisisScreening ?? true;
+    this.onCrisisDetected = config.onCrisisDetected;
   }
 
   /**
@@ -48,6 +106,20 @@ export class ChatSession {
     // Vector store worker is initialized on-demand when archiving messages
   }
 
+  /**
+   * Id of the conversation this session reads and writes
+   */
+  getSessionId(): string {
+    return this.sessionId;
+  }
+
+  /**
+   * Point this session at another conversation thread
+   */
+  switchSession(sessionId: string): void {
+    this.sessionId = sessionId;
+  }
+
   /**
    * Get the welcome message
    */
@@ -57,11 +129,18 @@ export class ChatSession {
 
   /**
    * Send a user message and get a response
+   * If signal aborts mid-generation, the partial reply is stored marked as
+   * interrupted and returned (empty string if nothing was generated yet)
+   * @throws LLMError when the model call fails; the user message stays
+   * stored, so retryLast() can be used
    */
   async sendMessage(
     userContent: string,
     onStream?: (partial: string) => void,
+    signal?: AbortSignal,
   ): Promise<string> {
+    await this.screenForCrisis(userContent);
+
     // Store user message
     const { message: userMsg, evicted: userEvicted } = await addMessage(
       "user",
@@ -73,14 +152,255 @@ export class ChatSession {
       this.onMessageAdded(userMsg);
     }
 
-    // Archive evicted messages
-    if (userEvicted.length > 0) {
-      await archiveMessages(userEvicted);
-      if (this.onEvicted) {
-        this.onEvicted(userEvicted);
+    await this.handleEvicted(userEvicted);
+
+    return this.respond(userContent, onStream, signal);
+  }
+
+  /**
+   * Generate a reply to the last user message again, after the previous
+   * attempt failed before anything was stored (e.g. an LLMError)
+   */
+  async retryLast(
+    onStream?: (partial: string) => void,
+    signal?: AbortSignal,
+  ): Promise<string> {
+    const history = await getMessages(this.sessionId);
+    const last = history[history.length - 1];
+
+    if (!last || last.role !== "user") {
+      throw new Error("Nothing to retry: last message is not a user message");
+    }
+
+    return this.respond(last.content, onStream, signal);
+  }
+
+  /**
+   * Generate a new version of the last assistant reply. The previous reply
+   * is kept as an alternate version of that message.
+   */
+  async regenerateLast(
+    onStream?: (partial: string) => void,
+    signal?: AbortSignal,
+  ): Promise<string> {
+    const history = await getMessages(this.sessionId);
+    const last = history[history.length - 1];
+
+    if (!last || last.role !== "assistant") {
+      throw new Error(
+        "Nothing to regenerate: last message is not an assistant reply",
+      );
+    }
+
+    const lastUser = history.findLast((m) => m.role === "user");
+    const { content, interrupted, extras } = await this.generateReply(
+      lastUser?.content ?? "",
+      onStream,
+      signal,
+      last.id,
+    );
+    if (interrupted && !content) return "";
+
+    await branchMessage(last.id, content, extras);
+    return content;
+  }
+
+  /**
+   * Replace a sent user message and answer it again. Everything after it
+   * is truncated and kept, with the old text, as an alternate version.
+   */
+  async editMessage(
+    id: string,
+    newContent: string,
+    onStream?: (partial: string) => void,
+    signal?: AbortSignal,
+  ): Promise<string> {
+    const message = await getMessage(id);
+
+    if (!message || message.sessionId !== this.sessionId) {
+      throw new Error(`Message not found: ${id}`);
+    }
+    if (message.role !== "user") {
+      throw new Error("Only user messages can be edited");
+    }
+
+    await this.screenForCrisis(newContent);
+    await branchMessage(id, newContent);
+    return this.respond(newContent, onStream, signal);
+  }
+
+  /**
+   * Show another version of an edited/regenerated message, restoring the
+   * conversation branch that followed it
+   */
+  async switchVersion(
+    id: string,
+    versionIndex: number,
+  ): Promise<ConversationMessage> {
+    return switchMessageVersion(id, versionIndex);
+  }
+
+  /**
+   * Run the local crisis pre-screen and report a detected crisis before
+   * anything reaches the network
+   */
+  private async screenForCrisis(userContent: string): Promise<void> {
+    if (!this.crisisScreening) return;
+
+    const assessment = await assessCrisis(userContent);
+    if (assessment.isCrisis && this.onCrisisDetected) {
+      this.onCrisisDetected(assessment);
+    }
+  }
+
+  /**
+   * Generate, store and return the assistant reply to the current history.
+   * Summaries of evicted history are updated once the reply is done.
+   */
+  private async respond(
+    userContent: string,
+    onStream?: (partial: string) => void,
+    signal?: AbortSignal,
+  ): Promise<string> {
+    try {
+      const {
+        content: assistantContent,
+        interrupted,
+        extras,
+      } = await this.generateReply(userContent, onStream, signal);
+      if (interrupted && !assistantContent) return "";
+
+      // Store assistant response
+      const { message: assistantMsg, evicted: assistantEvicted } =
+        await addMessage("assistant", assistantContent, this.sessionId, extras);
+
+      if (this.onMessageAdded) {
+        this.onMessageAdded(assistantMsg);
+      }
+
+      await this.handleEvicted(assistantEvicted);
+
+      return assistantContent;
+    } finally {
+      this.startSummarizing();
+    }
+  }
+
+  /**
+   * Archive evicted messages and queue them for their sessions' summaries.
+   * Messages that could not be archived are put back in the memory store
+   * (and archived when evicted again) rather than lost.
+   */
+  private async handleEvicted(evicted: ConversationMessage[]): Promise<void> {
+    if (evicted.length === 0) return;
+
+    let unarchived: ConversationMessage[];
+    try {
+      unarchived = await archiveMessages(evicted);
+    } catch (e) {
+      console.warn("Archiving evicted messages failed:", e);
+      unarchived = evicted;
+    }
+    if (unarchived.length > 0) {
+      try {
+        await restoreMessages(unarchived);
+      } catch (e) {
+        console.warn("Restoring unarchived messages failed:", e);
+      }
+    }
+
+    const archived = evicted.filter((msg) => !unarchived.includes(msg));
+    if (archived.length === 0) return;
+    if (this.onEvicted) {
+      this.onEvicted(archived);
+    }
+
+    // Global LRU eviction may take messages from other sessions
+    for (const msg of archived) {
+      this.pendingSummaries.set(msg.sessionId, [
+        ...(this.pendingSummaries.get(msg.sessionId) ?? []),
+        msg,
+      ]);
+    }
+  }
+
+  /**
+   * Summarize queued messages in the background, one session at a time so
+   * each summary is read and saved by a single run
+   */
+  private startSummarizing(): void {
+    if (this.summarizing || this.pendingSummaries.size === 0) return;
+
+    this.summarizing = (async () => {
+      while (this.pendingSummaries.size > 0) {
+        const [sessionId, messages] = this.pendingSummaries
+          .entries()
+          .next().value!;
+        this.pendingSummaries.delete(sessionId);
+        messages.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        await this.summarize(sessionId, messages);
       }
+    })().finally(() => {
+      this.summarizing = null;
+    });
+  }
+
+  /**
+   * Update a session's rolling summary with newly evicted messages, in
+   * batches of TOKEN_LIMITS.SUMMARY_BATCH. A failed LLM call keeps the
+   * summary as it was; the messages remain searchable in the vector store.
+   */
+  private async summarize(
+    sessionId: string,
+    messages: ConversationMessage[],
+  ): Promise<void> {
+    let summary = (await getSummary(sessionId))?.content;
+    let batch: ConversationMessage[] = [];
+    let batchTokens = 0;
+
+    const flush = async () => {
+      const transcript = batch
+        .map(
+          (m) =>
+            `${m.role === "user" ? "Użytkownik" : "Asystent"}: ${m.content}`,
+        )
+        .join("\n\n");
+      summary = await generateSummary(summary, transcript);
+      await saveSummary(sessionId, summary.trim(), batch);
+      batch = [];
+      batchTokens = 0;
+    };
+
+    try {
+      for (const msg of messages) {
+        if (msg.role === "system") continue;
+        if (
+          batch.length > 0 &&
+          batchTokens + msg.tokenCount > TOKEN_LIMITS.SUMMARY_BATCH
+        ) {
+          await flush();
+        }
+        batch.push(msg);
+        batchTokens += msg.tokenCount;
+      }
+      if (batch.length > 0) await flush();
+    } catch (e) {
+      console.warn("Summarization failed:", e);
     }
+  }
 
+  /**
+   * Generate a reply to the current history without storing it
+   * @param excludeId - Message left out of the prompt (the reply being regenerated)
+   * @returns the reply, plus the fields to store with it (interrupted flag
+   * and the archived fragments it was given as context)
+   */
+  private async generateReply(
+    userContent: string,
+    onStream?: (partial: string) => void,
+    signal?: AbortSignal,
+    excludeId?: string,
+  ): Promise<{ content: string; interrupted: boolean; extras: MessageExtras }> {
     // Get recent conversation for context window
     const recentMessages = await getRecentMessages(
       TOKEN_LIMITS.RESPONSE_BUFFER * 4, // Leave room for response
@@ -88,51 +408,84 @@ export class ChatSession {
     );
 
     // Convert to ChatMessage format
-    const messages: ChatMessage[] = recentMessages.map((m) => ({
-      role: m.role,
-      content: m.content,
-    }));
+    const messages: ChatMessage[] = recentMessages
+      .filter((m) => m.id !== excludeId)
+      .map((m) => ({
+        role: m.role,
+        content: m.content,
+      }));
 
     // Retrieve relevant context from archived messages if enabled
     let context: string | undefined;
+    let citations: MessageCitation[] | undefined;
     if (this.useContext) {
       try {
-        context = await getRelevantContext(userContent);
+        const retrieved = await getRelevantContext(userContent, {
+          sessionId: this.sessionId,
+          crossSession: this.crossSessionContext,
+          signal,
+        });
+        context = retrieved?.context;
+        citations = retrieved?.sources.map(toCitation);
       } catch (e) {
         console.warn("Context retrieval failed:", e);
       }
     }
 
-    // Generate response
-    let assistantContent: string;
+    // Gist of the history that no longer fits the active window
+    const summary = (await getSummary(this.sessionId))?.content;
 
-    if (onStream) {
-      let partial = "";
-      assistantContent = await streamResponse(messages, context, (chunk) => {
-        partial += chunk;
-        onStream(partial);
-      });
-    } else {
-      assistantContent = await generateResponse(messages, context);
-    }
+    // Generate response
+    let assistantContent = "";
+    let partial = "";
 
-    // Store assistant response
-    const { message: assistantMsg, evicted: assistantEvicted } =
-      await addMessage("assistant", assistantContent, this.sessionId);
+    try {
+      if (signal?.aborted) throw signal.reason;
 
-    if (this.onMessageAdded) {
-      this.onMessageAdded(assistantMsg);
+      if (onStream) {
+        assistantContent = await streamResponse(
+          messages,
+          { context, summary },
+          (chunk) => {
+            partial += chunk;
+            onStream(partial);
+          },
+          signal,
+        );
+      } else {
+        assistantContent = await generateResponse(
+          messages,
+          { context, summary },
+          signal,
+        );
+      }
+    } catch (error) {
+      if (!signal?.aborted) throw error;
     }
 
-    // Archive evicted messages
-    if (assistantEvicted.length > 0) {
-      await archiveMessages(assistantEvicted);
-      if (this.onEvicted) {
-        this.onEvicted(assistantEvicted);
-      }
+    const interrupted = signal?.aborted ?? false;
+    if (interrupted) {
+      assistantContent = partial;
     }
 
-    return assistantContent;
+    const extras: MessageExtras = {};
+    if (interrupted) extras.interrupted = true;
+    if (citations) extras.citations = citations;
+
+    return { content: assistantContent, interrupted, extras };
+  }
+
+  /**
+   * Mark a fragment cited by a reply as irrelevant (or undo it), so it
+   * ranks lower the next time context is retrieved
+   */
+  async markCitationIrrelevant(
+    messageId: string,
+    chunkId: string,
+    irrelevant = true,
+  ): Promise<ConversationMessage> {
+    await setChunksIrrelevant([chunkId], irrelevant);
+    return setCitationIrrelevant(messageId, chunkId, irrelevant);
   }
 
   /**
@@ -142,15 +495,74 @@ export class ChatSession {
     return getRecentMessages(undefined, this.sessionId);
   }
 
+  /**
+   * Export this conversation: versioned JSON (restorable with import()),
+   * or a Markdown / plain-text transcript of the active branch
+   */
+  async export(format: ExportFormat = "json"): Promise<string> {
+    const now = new Date().toISOString();
+    const session: SessionRecord = (await getSessionRecord(this.sessionId)) ?? {
+      id: this.sessionId,
+      title: DEFAULT_SESSION_TITLE,
+      createdAt: now,
+      lastActiveAt: now,
+      archived: false,
+    };
+
+    const data = createConversationExport(
+      session,
+      await getMessages(this.sessionId),
+      (await getSummary(this.sessionId)) ?? null,
+    );
+    return renderConversationExport(data, format);
+  }
+
+  /**
+   * Restore a JSON export as a new session (this session is unchanged;
+   * switch to the returned id to continue it)
+   * @param reArchive - Also embed the messages into the vector store so
+   * they can be retrieved as context (in the new session, or anywhere with
+   * crossSessionContext)
+   * @param onArchiveProgress - Chunks embedded so far, while re-archiving
+   * @returns the new session, and how many messages could not be
+   * re-archived (the session itself is imported either way)
+   * @throws Error when the file does not match the export schema
+   */
+  async import(
+    json: string,
+    options: {
+      reArchive?: boolean;
+      onArchiveProgress?: (done: number, total: number) => void;
+    } = {},
+  ): Promise<{ session: SessionRecord; unindexed: number }> {
+    const data = parseConversationExport(json);
+    const { session, messages } = await importSession(
+      data.session,
+      data.messages,
+      data.summary,
+    );
+
+    let unindexed = 0;
+    if (options.reArchive) {
+      try {
+        unindexed = (
+          await archiveMessages(messages, {
+            onProgress: options.onArchiveProgress,
+          })
+        ).length;
+      } catch (e) {
+        console.warn("Re-archiving imported messages failed:", e);
+        unindexed = messages.length;
+      }
+    }
+    return { session, unindexed };
+  }
+
   /**
    * Get memory usage stats
    */
-  async getStats(): Promise<{
-    tokenTotal: number;
-    messageCount: number;
-    percentUsed: number;
-  }> {
-    return getMemoryStats();
+  async getStats(): Promise<MemoryStats> {
+    return getMemoryStats(this.sessionId);
   }
 }
 
@@ -173,8 +585,9 @@ export function getDefaultSession(): ChatSession {
 export async function chat(
   message: string,
   onStream?: (partial: string) => void,
+  signal?: AbortSignal,
 ): Promise<string> {
   const session = getDefaultSession();
   await session.initialize();
-  return session.sendMessage(message, onStream);
+  return session.sendMessage(message, onStream, signal);
 }
@@ -0,0 +1,222 @@
+/**
+ * Crisis Detector - local pre-screen of user messages
+ * Keyword rules plus EmbeddingGemma similarity to crisis exemplars,
+ * run before the LLM call so help is shown even without network
+ */
+
+import {
+  embedText,
+  embedTexts,
+  cosineSimilarity,
+  onEmbeddingModelChange,
+} from "./embeddings";
+import { foldPolish } from "../lib/polish-text";
+
+export type CrisisCategory = "suicide" | "self-harm" | "violence" | "emergency";
+
+export interface CrisisAssessment {
+  isCrisis: boolean;
+  // 0-1; keyword matches score 1, otherwise the best exemplar similarity
+  score: number;
+  category: CrisisCategory | null;
+  source: "keywords" | "embedding" | null;
+}
+
+export interface CrisisDetectorConfig {
+  // Exemplar similarity at or above which a message counts as a crisis
+  threshold: number;
+  // How long to wait for the embedding model before settling for keywords
+  embeddingTimeoutMs: number;
+}
+
+const CRISIS_CONFIG: CrisisDetectorConfig = {
+  threshold: 0.6,
+  embeddingTimeoutMs: 2000,
+};
+
+// Matched against lowercased text with Polish diacritics folded
+const KEYWORD_RULES: { category: CrisisCategory; pattern: RegExp }[] = [
+  { category: "suicide", pattern: /samobojstw|samobojcz/ },
+  { category: "suicide", pattern: /\b(zabic|zabije|zabilbym|zabilabym) sie\b/ },
+  { category: "suicide", pattern: /\bsie (zabic|zabije)\b/ },
+  { category: "suicide", pattern: /\b(odebrac|odbiore) sobie zycie/ },
+  { category: "suicide", pattern: /\bnie chce (juz )?(dluzej )?zyc\b/ },
+  { category: "suicide", pattern: /\b(skonczyc|skoncze) ze soba/ },
+  { category: "suicide", pattern: /\b(powiesic|powiesze) sie\b/ },
+  { category: "suicide", pattern: /\bskocze z (mostu|dachu|okna|balkonu)/ },
+  { category: "self-harm", pattern: /samookalecz/ },
+  { category: "self-harm", pattern: /\b(tne|ciac|pocialem|pocielam) sie\b/ },
+  { category: "self-harm", pattern: /\brobie sobie krzywde\b/ },
+  { category: "violence", pattern: /\b(bije|pobil|pobila|katuje) mnie\b/ },
+  { category: "violence", pattern: /\bmnie (bije|pobil|pobila|katuje)\b/ },
+  { category: "violence", pattern: /\bgrozi,? ze mnie zabije/ },
+  { category: "violence", pattern: /\bprzemoc(y)? domow/ },
+  { category: "emergency", pattern: /\bprzedawkowal/ },
+  {
+    category: "emergency",
+    pattern: /\b(lykn|polkn|zazy|wzi)\w* (wszystkie|cale opakowanie)/,
+  },
+];
+
+const CRISIS_EXEMPLARS: Record<CrisisCategory, string[]> = {
+  suicide: [
+    "Myślę o tym, żeby odebrać sobie życie.",
+    "Nie widzę sensu, żeby dalej żyć.",
+    "Chcę umrzeć i mieć to wszystko za sobą.",
+    "Wszystkim byłoby lepiej beze mnie.",
+    "Mam już plan, jak to zrobić, i wiem kiedy.",
+    "Napisałam list pożegnalny do rodziny.",
+    "Nie dam rady dłużej, to koniec.",
+  ],
+  "self-harm": [
+    "Znowu się pocięłam, żeby poczuć ulgę.",
+    "Ranię się, kiedy emocje są zbyt silne.",
+    "Przypalam skórę, żeby przestać myśleć.",
+    "Mam ochotę zrobić sobie krzywdę.",
+  ],
+  violence: [
+    "Partner mnie bije i boję się wrócić do domu.",
+    "Ktoś w domu grozi mi, że mnie zabije.",
+    "Jestem ofiarą przemocy i nie wiem, gdzie uciec.",
+    "Zostałam zgwałcona i nie wiem, co robić.",
+  ],
+  emergency: [
+    "Połknąłem wszystkie tabletki z apteczki.",
+    "Przedawkowałam leki i kręci mi się w głowie.",
+    "Stoję na moście i zaraz skoczę.",
+    "Krwawię i nie mogę tego zatrzymać.",
+  ],
+};
+
+let exemplarsPromise: Promise<
+  { category: CrisisCategory; embedding: Float32Array }[]
+> | null = null;
+
+// Exemplars embedded by another model cannot be compared with messages
+onEmbeddingModelChange(() => {
+  exemplarsPromise = null;
+});
+
+/**
+ * Override the detector threshold/timeout at runtime
+ */
+export function configureCrisisDetector(
+  config: Partial<CrisisDetectorConfig>,
+): void {
+  Object.assign(CRISIS_CONFIG, config);
+}
+
+/**
+ * Keyword pre-check - synchronous and always available
+ */
+function matchKeywords(text: string): CrisisCategory | null {
+  const folded = foldPolish(text);
+  return (
+    KEYWORD_RULES.find((rule) => rule.pattern.test(folded))?.category ?? null
+  );
+}
+
+/**
+ * Embed the exemplars once; the model download continues in the
+ * background if a check times out
+ */
+function getExemplarEmbeddings(): Promise<
+  { category: CrisisCategory; embedding: Float32Array }[]
+> {
+  if (!exemplarsPromise) {
+    const entries = Object.entries(CRISIS_EXEMPLARS).flatMap(
+      ([category, texts]) =>
+        texts.map((text) => ({ category: category as CrisisCategory, text })),
+    );
+
+    exemplarsPromise = embedTexts(
+      entries.map((e) => e.text),
+      "classification",
+    )
+      .then((embeddings) =>
+        entries.map((e, i) => ({
+          category: e.category,
+          embedding: embeddings[i],
+        })),
+      )
+      .catch((error) => {
+        exemplarsPromise = null; // retry on the next message
+        throw error;
+      });
+  }
+  return exemplarsPromise;
+}
+
+/**
+ * Best exemplar match for a message
+ */
+async function matchExemplars(
+  text: string,
+): Promise<{ category: CrisisCategory; score: number }> {
+  const [exemplars, query] = await Promise.all([
+    getExemplarEmbeddings(),
+    embedText(text, "classification"),
+  ]);
+
+  let best = { category: exemplars[0].category, score: -1 };
+  for (const exemplar of exemplars) {
+    const score = cosineSimilarity(query, exemplar.embedding);
+    if (score > best.score) best = { category: exemplar.category, score };
+  }
+  return best;
+}
+
+/**
+ * Resolve to null if the promise does not settle in time
+ */
+function withTimeout<T>(promise: Promise<T>, ms: number): Promise<T | null> {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(null), ms);
+    promise.then(
+      (value) => {
+        clearTimeout(timer);
+        resolve(value);
+      },
+      (error) => {
+        clearTimeout(timer);
+        reject(error);
+      },
+    );
+  });
+}
+
+/**
+ * Score a user message for crisis signals. Never throws: if the embedding
+ * model is unavailable or slow, the keyword result stands.
+ */
+export async function assessCrisis(text: string): Promise<CrisisAssessment> {
+  const keywordCategory = matchKeywords(text);
+  if (keywordCategory) {
+    return {
+      isCrisis: true,
+      score: 1,
+      category: keywordCategory,
+      source: "keywords",
+    };
+  }
+
+  try {
+    const match = await withTimeout(
+      matchExemplars(text),
+      CRISIS_CONFIG.embeddingTimeoutMs,
+    );
+    if (match) {
+      const isCrisis = match.score >= CRISIS_CONFIG.threshold;
+      return {
+        isCrisis,
+        score: Math.max(0, match.score),
+        category: isCrisis ? match.category : null,
+        source: "embedding",
+      };
+    }
+  } catch (e) {
+    console.warn("Crisis embedding check failed:", e);
+  }
+
+  return { isCrisis: false, score: 0, category: null, source: null };
+}
@@ -0,0 +1,131 @@
+/**
+ * Data Wipe - "delete all my data"
+ * Deletes the IndexedDB databases, the model and service-worker caches and
+ * the app's localStorage flags, then checks that nothing is left
+ */
+
+import { deleteMemoryDatabase } from "./memory-store";
+import { deleteVectorDatabase } from "./vector-store";
+import { deleteEmbeddingCache } from "./embeddings";
+import { DATABASE_NAMES } from "../lib/database-names";
+
+export interface WipeStep {
+  target: string;
+  ok: boolean;
+  error?: string;
+}
+
+export interface WipeReport {
+  steps: WipeStep[];
+  // What the verification pass still found (empty when fully wiped)
+  remaining: string[];
+  verified: boolean;
+}
+
+const LOCAL_STORAGE_PREFIX = "terapeuta-";
+
+/**
+ * Transformers.js model cache, the Workbox precache and the runtime
+ * cache from the PWA config (astro.config.mjs)
+ */
+function isAppCache(name: string): boolean {
+  return (
+    name === "transformers-cache" ||
+    name === "ml-models-cache" ||
+    name.startsWith("workbox-")
+  );
+}
+
+function appLocalStorageKeys(): string[] {
+  return Object.keys(localStorage).filter((key) =>
+    key.startsWith(LOCAL_STORAGE_PREFIX),
+  );
+}
+
+/**
+ * Run one wipe step, recording instead of throwing on failure
+ */
+async function runStep(
+  target: string,
+  action: () => Promise<void> | void,
+): Promise<WipeStep> {
+  try {
+    await action();
+    return { target, ok: true };
+  } catch (e) {
+    console.warn(`Failed to wipe ${target}:`, e);
+    return {
+      target,
+      ok: false,
+      error: e instanceof Error ? e.message : String(e),
+    };
+  }
+}
+
+/**
+ * Look for anything the wipe should have removed
+ */
+async function findRemainingData(): Promise<string[]> {
+  const remaining: string[] = [];
+
+  // indexedDB.databases() is missing in older browsers
+  if (typeof indexedDB.databases === "function") {
+    const databases = await indexedDB.databases();
+    remaining.push(
+      ...databases
+        .map((db) => db.name ?? "")
+        .filter((name) => DATABASE_NAMES.includes(name))
+        .map((name) => `IndexedDB: ${name}`),
+    );
+  }
+
+  if ("caches" in self) {
+    remaining.push(
+      ...(await caches.keys())
+        .filter(isAppCache)
+        .map((name) => `Cache: ${name}`),
+    );
+  }
+
+  try {
+    remaining.push(
+      ...appLocalStorageKeys().map((key) => `localStorage: ${key}`),
+    );
+  } catch {
+    // localStorage unavailable, so nothing is stored there
+  }
+
+  return remaining;
+}
+
+/**
+ * Delete all user data stored by the app in this browser
+ */
+export async function wipeAllUserData(): Promise<WipeReport> {
+  const steps = [
+    await runStep("Baza rozmów (IndexedDB)", deleteMemoryDatabase),
+    await runStep("Baza wyszukiwania (IndexedDB)", deleteVectorDatabase),
+    await runStep(
+      "Pamięć podręczna embeddingów (IndexedDB)",
+      deleteEmbeddingCache,
+    ),
+    await runStep("Pamięć podręczna modeli i aplikacji", async () => {
+      if (!("caches" in self)) return;
+      const names = (await caches.keys()).filter(isAppCache);
+      await Promise.all(names.map((name) => caches.delete(name)));
+    }),
+    await runStep("Ustawienia (localStorage)", () => {
+      for (const key of appLocalStorageKeys()) localStorage.removeItem(key);
+    }),
+  ];
+
+  const remaining = await findRemainingData().catch((e) => {
+    console.warn("Failed to verify wipe:", e);
+    return ["Nie udało się sprawdzić pozostałych danych"];
+  });
+  return {
+    steps,
+    remaining,
+    verified: steps.every((step) => step.ok) && remaining.length === 0,
+  };
+}
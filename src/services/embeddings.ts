@@ -1,150 +1,178 @@
 /**
- * Embeddings Pipeline - Transformers.js with EmbeddingGemma
- * Handles local embedding generation with caching
+ * Embeddings - the configured model (EmbeddingGemma by default) via the
+ * shared embedding worker
+ * The worker owns the only model instance on the page; the vector DB
+ * worker reaches it through connectEmbeddingPort(). Every call names its
+ * task, which selects the model's prompt (see embedding-models.ts).
+ * Repeated texts are served from the worker's embedding cache.
  */
 
 import {
-  pipeline,
-  env,
-  type FeatureExtractionPipeline,
-} from "@huggingface/transformers";
+  createEmbeddingClient,
+  type EmbeddingClient,
+} from "../workers/embedding-client";
+import type {
+  EmbeddingCacheStats,
+  EmbeddingConnectMessage,
+  EmbeddingDevice,
+} from "../workers/embedding.protocol";
+import {
+  DEFAULT_EMBEDDING_MODEL,
+  getEmbeddingModel,
+  type EmbeddingModel,
+  type EmbeddingTask,
+} from "../lib/embedding-models";
 
-// Configure Transformers.js for browser
-env.allowLocalModels = false;
-env.useBrowserCache = true;
-env.remoteHost = `${window.location.origin}/hf`;
-env.remotePath = "";
+export type { EmbeddingModel, EmbeddingTask };
 
-const MODEL_ID = "onnx-community/embeddinggemma-300m-ONNX";
-const EMBEDDING_DIM = 768;
+// Registry key of the model to embed with (injected at build time)
+const EMBEDDING_MODEL_KEY =
+  import.meta.env.PUBLIC_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
 
-let embedderPromise: Promise<FeatureExtractionPipeline> | null = null;
-let isWebGPU = false;
+let worker: Worker | null = null;
+let client: EmbeddingClient | null = null;
+let activeModel = initialModel();
+const modelListeners = new Set<(model: EmbeddingModel) => void>();
 
 /**
- * Check if WebGPU is available and suitable
+ * The configured model, or the default for a key not in the registry
  */
-async function checkWebGPU(): Promise<boolean> {
-  if (typeof navigator === "undefined" || !navigator.gpu) {
-    return false;
-  }
-
+function initialModel(): EmbeddingModel {
   try {
-    const adapter = await navigator.gpu.requestAdapter();
-    if (!adapter) return false;
-
-    // Check for sufficient resources
-    const deviceMemory = (navigator as any).deviceMemory;
-    if (deviceMemory && deviceMemory < 4) {
-      console.log("[Embeddings] Low device memory, using WASM");
-      return false;
-    }
-
-    return true;
-  } catch {
-    return false;
+    return getEmbeddingModel(EMBEDDING_MODEL_KEY);
+  } catch (e) {
+    console.warn("Falling back to the default embedding model:", e);
+    return getEmbeddingModel(DEFAULT_EMBEDDING_MODEL);
   }
 }
 
 /**
- * Initialize and get the embedding pipeline
+ * Get or create the embedding worker
  */
-export async function getEmbedder(): Promise<FeatureExtractionPipeline> {
-  if (!embedderPromise) {
-    embedderPromise = (async () => {
-      const useWebGPU = await checkWebGPU();
-      isWebGPU = useWebGPU;
-
-      console.log(
-        `[Embeddings] Loading model with ${useWebGPU ? "WebGPU" : "WASM"} backend...`,
-      );
-
-      const options = useWebGPU ? { device: "webgpu" as const } : undefined;
-      const pipe = await pipeline("feature-extraction", MODEL_ID, options);
-
-      console.log("[Embeddings] Model loaded successfully");
-      return pipe;
-    })();
+function getWorker(): Worker {
+  if (!worker) {
+    worker = new Worker(
+      new URL("../workers/embedding.worker.js", import.meta.url),
+      {
+        type: "module",
+      },
+    );
+
+    worker.onerror = (e) => {
+      console.error("Embedding worker error:", e);
+    };
   }
-  return embedderPromise;
+  return worker;
+}
+
+function getClient(): EmbeddingClient {
+  if (!client) client = createEmbeddingClient(getWorker());
+  return client;
 }
 
 /**
  * Preload the embedding model (call early to warm cache)
+ * @returns the device the model runs on
  */
-export async function preloadEmbedder(): Promise<void> {
-  await getEmbedder();
+export async function preloadEmbedder(): Promise<EmbeddingDevice> {
+  return getClient().init(activeModel.key);
 }
 
 /**
- * Generate embedding for a single text
+ * Switch the page to another registry model. Embeddings from the old one
+ * are not comparable: listeners drop caches, and archived chunks are
+ * re-embedded in the background.
+ * @throws Error for a key not in the registry
  */
-export async function embedText(text: string): Promise<Float32Array> {
-  const embedder = await getEmbedder();
+export function configureEmbeddingModel(key: string): void {
+  const model = getEmbeddingModel(key);
+  if (model === activeModel) return;
+
+  activeModel = model;
+  for (const listener of modelListeners) listener(model);
+}
 
-  const output = await embedder(text, {
-    pooling: "mean",
-    normalize: true,
-  });
+/**
+ * The model embeddings are currently computed with
+ */
+export function getActiveEmbeddingModel(): EmbeddingModel {
+  return activeModel;
+}
 
-  // Convert to Float32Array
-  if (output.data) {
-    return new Float32Array(output.data as ArrayLike<number>);
-  }
+/**
+ * Subscribe to model switches; returns an unsubscribe function
+ */
+export function onEmbeddingModelChange(
+  listener: (model: EmbeddingModel) => void,
+): () => void {
+  modelListeners.add(listener);
+  return () => modelListeners.delete(listener);
+}
 
-  if (Array.isArray(output)) {
-    return new Float32Array(output.flat(2) as number[]);
-  }
+/**
+ * Open a channel to the embedding worker for another worker: post the
+ * returned port to it and wrap it with createEmbeddingClient there
+ */
+export function connectEmbeddingPort(): MessagePort {
+  const channel = new MessageChannel();
+  getWorker().postMessage(
+    { type: "connect", port: channel.port1 } satisfies EmbeddingConnectMessage,
+    [channel.port1],
+  );
+  return channel.port2;
+}
 
-  throw new Error("Unexpected embedding output format");
+/**
+ * Generate embedding for a single text
+ */
+export async function embedText(
+  text: string,
+  task: EmbeddingTask,
+  signal?: AbortSignal,
+): Promise<Float32Array> {
+  const [embedding] = await getClient().embed(
+    { texts: [text], task, model: activeModel.key },
+    { signal },
+  );
+  return embedding;
 }
 
 /**
- * Generate embeddings for multiple texts (batched for efficiency)
+ * Generate embeddings for multiple texts (batched in the worker when the
+ * device benefits from it)
  */
 export async function embedTexts(
   texts: string[],
+  task: EmbeddingTask,
   onProgress?: (completed: number, total: number) => void,
 ): Promise<Float32Array[]> {
-  const embedder = await getEmbedder();
-  const results: Float32Array[] = [];
-
-  // Process in small batches for WebGPU efficiency
-  const batchSize = isWebGPU ? 8 : 1;
-
-  for (let i = 0; i < texts.length; i += batchSize) {
-    const batch = texts.slice(i, i + batchSize);
-
-    const outputs = await embedder(batch, {
-      pooling: "mean",
-      normalize: true,
-    });
-
-    // Handle batch output
-    if (batch.length === 1) {
-      const data = outputs.data || outputs;
-      results.push(new Float32Array(data as ArrayLike<number>));
-    } else {
-      // Multi-text batch - need to split by embedding dimension
-      const allData = (outputs.data || outputs) as ArrayLike<number>;
-      for (let j = 0; j < batch.length; j++) {
-        const start = j * EMBEDDING_DIM;
-        const end = start + EMBEDDING_DIM;
-        results.push(new Float32Array(Array.from(allData).slice(start, end)));
-      }
-    }
-
-    if (onProgress) {
-      onProgress(Math.min(i + batchSize, texts.length), texts.length);
-    }
-
-    // Yield to UI occasionally
-    if (i % 16 === 0) {
-      await new Promise((resolve) => setTimeout(resolve, 0));
-    }
-  }
+  return getClient().embed(
+    { texts, task, model: activeModel.key },
+    { onProgress },
+  );
+}
 
-  return results;
+/**
+ * Embedding cache hit counters (page and vector worker requests alike)
+ */
+export async function getEmbeddingCacheStats(): Promise<EmbeddingCacheStats> {
+  return getClient().cacheStats();
+}
+
+/**
+ * Delete persisted cache entries last used before the cutoff (ISO
+ * timestamp)
+ * @returns number of deleted entries
+ */
+export async function expireEmbeddingCache(before: string): Promise<number> {
+  return getClient().expire(before);
+}
+
+/**
+ * Delete the persisted embedding cache (the loaded model stays)
+ */
+export async function deleteEmbeddingCache(): Promise<void> {
+  await getClient().destroy();
 }
 
 /**
@@ -186,5 +214,5 @@ export function cosineSimilarity(a: Float32Array, b: Float32Array): number {
  * Get the embedding dimension
  */
 export function getEmbeddingDim(): number {
-  return EMBEDDING_DIM;
+  return activeModel.dim;
 }
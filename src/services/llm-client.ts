@@ -1,89 +1,86 @@
 /**
- * LLM Client for Gemini Flash via LangChain
+ * LLM Client - provider-agnostic chat completion
  * Configured for maximum quality responses for psycholog-seksuolog assistant
  */
 
-import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
 import {
-  HumanMessage,
-  AIMessage,
-  SystemMessage,
-  type BaseMessage,
-} from "@langchain/core/messages";
-import { SYSTEM_PROMPT } from "../lib/prompts";
-
-// Get API key from environment (injected at build time)
+  SUMMARY_PROMPT,
+  SYSTEM_PROMPT,
+  buildContextMessage,
+  buildSummaryMessage,
+  buildSummaryRequest,
+} from "../lib/prompts";
+import {
+  createProvider,
+  type ChatMessage,
+  type LLMProvider,
+  type LLMProviderConfig,
+  type LLMProviderName,
+} from "./llm-providers";
+import { LLMError, classifyLLMError } from "./llm-errors";
+
+export type { ChatMessage, MessageRole } from "./llm-providers";
+export { LLMError, type LLMErrorKind } from "./llm-errors";
+
+// Provider selection and credentials from environment (injected at build time).
+// Use "relay" in production so the Gemini key never ships to the browser.
+const LLM_PROVIDER = (import.meta.env.PUBLIC_LLM_PROVIDER ||
+  "gemini") as LLMProviderName;
 const GEMINI_API_KEY = import.meta.env.PUBLIC_GEMINI_API_KEY || "";
 
 // Model configuration for maximum intelligence
-const MODEL_CONFIG = {
-  modelName: "gemini-2.0-flash", // Latest flash model
+const MODEL_CONFIG: LLMProviderConfig = {
+  provider: LLM_PROVIDER,
+  model: import.meta.env.PUBLIC_LLM_MODEL || undefined,
+  endpoint: import.meta.env.PUBLIC_LLM_ENDPOINT || undefined,
+  apiKey:
+    LLM_PROVIDER === "gemini"
+      ? GEMINI_API_KEY
+      : import.meta.env.PUBLIC_LLM_API_KEY || undefined,
   temperature: 0.2, // Low randomness for consistent, thoughtful responses
   topP: 0.95, // High diversity within low temperature
   maxOutputTokens: 8192, // Maximum output for detailed responses
-  apiKey: GEMINI_API_KEY,
 };
 
-let llmInstance: ChatGoogleGenerativeAI | null = null;
-
 /**
- * Get or create the LLM instance
+ * Extra system context injected ahead of the conversation history
  */
-export function getLLM(): ChatGoogleGenerativeAI {
-  if (!llmInstance) {
-    if (!GEMINI_API_KEY) {
-      throw new Error(
-        "GEMINI_API_KEY is not configured. Set PUBLIC_GEMINI_API_KEY environment variable.",
-      );
-    }
-    llmInstance = new ChatGoogleGenerativeAI(MODEL_CONFIG);
-  }
-  return llmInstance;
+export interface PromptExtras {
+  // Relevant snippets retrieved from archived conversations (RAG)
+  context?: string;
+  // Rolling summary of this session's evicted history
+  summary?: string;
 }
 
-/**
- * Message role types
- */
-export type MessageRole = "user" | "assistant" | "system";
+let llmInstance: LLMProvider | null = null;
 
 /**
- * Chat message interface
+ * Get or create the configured LLM provider
  */
-export interface ChatMessage {
-  role: MessageRole;
-  content: string;
+export function getLLM(): LLMProvider {
+  if (!llmInstance) {
+    llmInstance = createProvider(MODEL_CONFIG);
+  }
+  return llmInstance;
 }
 
 /**
- * Convert our message format to LangChain messages
+ * Override the provider configuration at runtime (e.g. to point at a
+ * self-hosted model). Generation defaults are kept unless overridden.
  */
-function toBaseMessages(messages: ChatMessage[]): BaseMessage[] {
-  return messages.map((msg) => {
-    switch (msg.role) {
-      case "user":
-        return new HumanMessage(msg.content);
-      case "assistant":
-        return new AIMessage(msg.content);
-      case "system":
-        return new SystemMessage(msg.content);
-      default:
-        return new HumanMessage(msg.content);
-    }
-  });
+export function configureLLM(config: Partial<LLMProviderConfig>): void {
+  Object.assign(MODEL_CONFIG, config);
+  llmInstance = null;
 }
 
 /**
- * Generate a response from the LLM
- * @param messages - Conversation history
- * @param context - Optional RAG context to inject
+ * Prepend the system prompt, optional RAG context and conversation summary
+ * to the history (skipped for the relay, which does this server-side)
  */
-export async function generateResponse(
+function buildMessages(
   messages: ChatMessage[],
-  context?: string,
-): Promise<string> {
-  const llm = getLLM();
-
-  // Build the full message list with system prompt
+  { context, summary }: PromptExtras,
+): ChatMessage[] {
   const fullMessages: ChatMessage[] = [
     { role: "system", content: SYSTEM_PROMPT },
   ];
@@ -92,67 +89,185 @@ export async function generateResponse(
   if (context) {
     fullMessages.push({
       role: "system",
-      content: `Poniższy kontekst pochodzi z wcześniejszych rozmów i może być pomocny:\n\n${context}`,
+      content: buildContextMessage(context),
+    });
+  }
+
+  // Add the summary of history that no longer fits the window
+  if (summary) {
+    fullMessages.push({
+      role: "system",
+      content: buildSummaryMessage(summary),
     });
   }
 
   // Add conversation history
   fullMessages.push(...messages);
+  return fullMessages;
+}
 
-  const baseMessages = toBaseMessages(fullMessages);
+// Exponential backoff for retryable failures (rate limits, network drops)
+const RETRY_CONFIG = {
+  maxAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 15000,
+};
 
-  try {
-    const response = await llm.invoke(baseMessages);
-    return typeof response.content === "string"
-      ? response.content
-      : JSON.stringify(response.content);
-  } catch (error) {
-    console.error("LLM Error:", error);
-    throw new Error("Nie udało się uzyskać odpowiedzi. Spróbuj ponownie.");
+/**
+ * Sleep that rejects as soon as the signal aborts
+ */
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal?.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Backoff delay for a given attempt: exponential with full jitter,
+ * never shorter than a server-provided Retry-After
+ */
+function backoffDelay(attempt: number, error: LLMError): number {
+  const cap = Math.min(
+    RETRY_CONFIG.maxDelayMs,
+    RETRY_CONFIG.baseDelayMs * 2 ** (attempt - 1),
+  );
+  return Math.max(error.retryAfterMs ?? 0, Math.random() * cap);
+}
+
+/**
+ * Run an LLM call, classifying failures into LLMError and retrying
+ * retryable ones. canRetry lets streaming calls stop retrying once
+ * output has reached the user. Abort errors are rethrown as-is.
+ */
+async function withRetry<T>(
+  label: string,
+  call: () => Promise<T>,
+  signal?: AbortSignal,
+  canRetry: () => boolean = () => true,
+): Promise<T> {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await call();
+    } catch (error) {
+      if (signal?.aborted) throw error;
+
+      const llmError = classifyLLMError(error);
+      console.error(`${label} (${llmError.kind}, attempt ${attempt}):`, error);
+
+      if (
+        !llmError.retryable ||
+        attempt >= RETRY_CONFIG.maxAttempts ||
+        !canRetry()
+      ) {
+        throw llmError;
+      }
+      await sleep(backoffDelay(attempt, llmError), signal);
+    }
   }
 }
 
+/**
+ * Generate a response from the LLM
+ * @param messages - Conversation history
+ * @param extras - Optional RAG context and conversation summary to inject
+ * @param signal - Optional abort signal; the abort error is rethrown as-is
+ * @throws LLMError after retries are exhausted
+ */
+export async function generateResponse(
+  messages: ChatMessage[],
+  extras: PromptExtras = {},
+  signal?: AbortSignal,
+): Promise<string> {
+  return withRetry(
+    "LLM Error",
+    () => {
+      const llm = getLLM();
+      if (llm.serverSidePrompt) {
+        return llm.generate(messages, { ...extras, signal });
+      }
+      return llm.generate(buildMessages(messages, extras), { signal });
+    },
+    signal,
+  );
+}
+
+/**
+ * Fold new transcript lines into a session's rolling summary. Sent with
+ * SUMMARY_PROMPT instead of the therapist SYSTEM_PROMPT (the relay in
+ * summary mode), so the summary is not written by the chat persona.
+ * @param previousSummary - Summary so far, if any
+ * @param transcript - New messages, one "Role: text" paragraph each
+ * @throws LLMError after retries are exhausted
+ */
+export async function generateSummary(
+  previousSummary: string | undefined,
+  transcript: string,
+  signal?: AbortSignal,
+): Promise<string> {
+  const request: ChatMessage = {
+    role: "user",
+    content: buildSummaryRequest(previousSummary, transcript),
+  };
+
+  return withRetry(
+    "LLM Summary Error",
+    () => {
+      const llm = getLLM();
+      if (llm.serverSidePrompt) {
+        return llm.generate([request], { mode: "summary", signal });
+      }
+      return llm.generate(
+        [{ role: "system", content: SUMMARY_PROMPT }, request],
+        { signal },
+      );
+    },
+    signal,
+  );
+}
+
 /**
  * Stream a response from the LLM
+ * Retries only while nothing has been streamed yet, so chunks are never
+ * delivered twice
  * @param messages - Conversation history
- * @param context - Optional RAG context to inject
+ * @param extras - Optional RAG context and conversation summary to inject
  * @param onChunk - Callback for each chunk
+ * @param signal - Optional abort signal; the abort error is rethrown as-is
+ * @throws LLMError after retries are exhausted
  */
 export async function streamResponse(
   messages: ChatMessage[],
-  context: string | undefined,
+  extras: PromptExtras,
   onChunk: (chunk: string) => void,
+  signal?: AbortSignal,
 ): Promise<string> {
-  const llm = getLLM();
-
-  const fullMessages: ChatMessage[] = [
-    { role: "system", content: SYSTEM_PROMPT },
-  ];
-
-  if (context) {
-    fullMessages.push({
-      role: "system",
-      content: `Poniższy kontekst pochodzi z wcześniejszych rozmów i może być pomocny:\n\n${context}`,
-    });
-  }
-
-  fullMessages.push(...messages);
-  const baseMessages = toBaseMessages(fullMessages);
-
-  let fullResponse = "";
+  let streamed = false;
+  const trackedOnChunk = (chunk: string) => {
+    if (chunk) streamed = true;
+    onChunk(chunk);
+  };
 
-  try {
-    const stream = await llm.stream(baseMessages);
-
-    for await (const chunk of stream) {
-      const content = typeof chunk.content === "string" ? chunk.content : "";
-      fullResponse += content;
-      onChunk(content);
-    }
-
-    return fullResponse;
-  } catch (error) {
-    console.error("LLM Stream Error:", error);
-    throw new Error("Nie udało się uzyskać odpowiedzi. Spróbuj ponownie.");
-  }
+  return withRetry(
+    "LLM Stream Error",
+    () => {
+      const llm = getLLM();
+      if (llm.serverSidePrompt) {
+        return llm.stream(messages, trackedOnChunk, { ...extras, signal });
+      }
+      return llm.stream(buildMessages(messages, extras), trackedOnChunk, {
+        signal,
+      });
+    },
+    signal,
+    () => !streamed,
+  );
 }
@@ -0,0 +1,125 @@
+/**
+ * LLM Errors - typed failure taxonomy shared by providers, client and widget
+ */
+
+export type LLMErrorKind =
+  | "rate-limited"
+  | "auth"
+  | "network"
+  | "safety-blocked"
+  | "context-too-long"
+  | "unknown";
+
+/**
+ * User-facing (Polish) message per error kind
+ */
+export const LLM_ERROR_MESSAGES: Record<LLMErrorKind, string> = {
+  "rate-limited":
+    "Przekroczono limit zapytań do modelu. Odczekaj chwilę i spróbuj ponownie.",
+  auth: "Usługa czatu jest chwilowo niedostępna (błąd konfiguracji klucza API).",
+  network:
+    "Brak połączenia z usługą czatu. Sprawdź połączenie z internetem i spróbuj ponownie.",
+  "safety-blocked":
+    "Odpowiedź została zablokowana przez filtry bezpieczeństwa modelu. Spróbuj sformułować wiadomość inaczej.",
+  "context-too-long":
+    "Rozmowa jest zbyt długa dla modelu. Rozpocznij nową rozmowę lub skróć wiadomość.",
+  unknown: "Nie udało się uzyskać odpowiedzi. Spróbuj ponownie.",
+};
+
+// Kinds worth retrying automatically with backoff
+const RETRYABLE_KINDS: ReadonlySet<LLMErrorKind> = new Set([
+  "rate-limited",
+  "network",
+]);
+
+export class LLMError extends Error {
+  readonly kind: LLMErrorKind;
+  readonly status?: number;
+  readonly retryAfterMs?: number;
+
+  constructor(
+    kind: LLMErrorKind,
+    options: { status?: number; retryAfterMs?: number; cause?: unknown } = {},
+  ) {
+    super(LLM_ERROR_MESSAGES[kind], { cause: options.cause });
+    this.name = "LLMError";
+    this.kind = kind;
+    this.status = options.status;
+    this.retryAfterMs = options.retryAfterMs;
+  }
+
+  /**
+   * Whether automatic retry with backoff may succeed
+   */
+  get retryable(): boolean {
+    return RETRYABLE_KINDS.has(this.kind);
+  }
+}
+
+/**
+ * Map an HTTP status (plus optional body text) to an error kind
+ */
+function kindFromStatus(status: number, detail = ""): LLMErrorKind {
+  if (status === 429) return "rate-limited";
+  if (status === 401 || status === 403) return "auth";
+  if (status === 413) return "context-too-long";
+  if (status === 400 && /API.?key/i.test(detail)) return "auth";
+  if (status === 400 && /token|context|too long|exceeds/i.test(detail)) {
+    return "context-too-long";
+  }
+  if (status >= 500 || status === 408) return "network";
+  return "unknown";
+}
+
+/**
+ * Build an LLMError from a failed fetch Response
+ */
+export async function errorFromResponse(response: Response): Promise<LLMError> {
+  const detail = await response.text().catch(() => "");
+  const retryAfter = Number(response.headers.get("Retry-After"));
+
+  return new LLMError(kindFromStatus(response.status, detail), {
+    status: response.status,
+    retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : undefined,
+    cause: detail,
+  });
+}
+
+/**
+ * Classify any thrown value (LangChain/Gemini SDK errors, fetch failures...)
+ */
+export function classifyLLMError(error: unknown): LLMError {
+  if (error instanceof LLMError) return error;
+
+  const message = error instanceof Error ? error.message : String(error);
+  const status =
+    typeof (error as { status?: unknown })?.status === "number"
+      ? (error as { status: number }).status
+      : undefined;
+
+  let kind: LLMErrorKind;
+  if (/blocked|SAFETY|content_filter/i.test(message)) {
+    kind = "safety-blocked";
+  } else if (status !== undefined) {
+    kind = kindFromStatus(status, message);
+  } else if (/\[429|quota|rate.?limit|RESOURCE_EXHAUSTED/i.test(message)) {
+    kind = "rate-limited";
+  } else if (
+    /API.?key|PERMISSION_DENIED|UNAUTHENTICATED|\[40[13]/i.test(message)
+  ) {
+    kind = "auth";
+  } else if (/token count|context length|too long|exceeds/i.test(message)) {
+    kind = "context-too-long";
+  } else if (
+    error instanceof TypeError ||
+    /Error fetching from|Failed to fetch|NetworkError|network|\[5\d\d/i.test(
+      message,
+    )
+  ) {
+    kind = "network";
+  } else {
+    kind = "unknown";
+  }
+
+  return new LLMError(kind, { status, cause: error });
+}
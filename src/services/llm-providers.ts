@@ -0,0 +1,374 @@
+/**
+ * LLM Providers - pluggable chat completion backends
+ * Gemini (LangChain), any OpenAI-compatible /v1/chat/completions server,
+ * our own /api/chat relay, and a local stub for offline development
+ */
+
+import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import {
+  HumanMessage,
+  AIMessage,
+  SystemMessage,
+  type BaseMessage,
+} from "@langchain/core/messages";
+import { LLMError, errorFromResponse } from "./llm-errors";
+
+/**
+ * Message role types
+ */
+export type MessageRole = "user" | "assistant" | "system";
+
+/**
+ * Chat message interface
+ */
+export interface ChatMessage {
+  role: MessageRole;
+  content: string;
+}
+
+/**
+ * Supported provider kinds
+ */
+export type LLMProviderName = "gemini" | "openai" | "relay" | "stub";
+
+/**
+ * Provider configuration
+ */
+export interface LLMProviderConfig {
+  provider: LLMProviderName;
+  model?: string;
+  apiKey?: string;
+  endpoint?: string;
+  temperature?: number;
+  topP?: number;
+  maxOutputTokens?: number;
+}
+
+/**
+ * What a server-side prompt is built for: a chat reply (SYSTEM_PROMPT,
+ * context and summary) or a history summary (SUMMARY_PROMPT only)
+ */
+export type LLMPromptMode = "chat" | "summary";
+
+/**
+ * Per-call options
+ */
+export interface LLMCallOptions {
+  // Prompt to inject (default "chat"); only read by providers with
+  // serverSidePrompt
+  mode?: LLMPromptMode;
+  // RAG context; only read by providers with serverSidePrompt
+  context?: string;
+  // Rolling summary of evicted history; only read by providers with
+  // serverSidePrompt
+  summary?: string;
+  // Cancels the request; streamed chunks already delivered stay delivered
+  signal?: AbortSignal;
+}
+
+/**
+ * Common interface implemented by every backend
+ */
+export interface LLMProvider {
+  readonly name: LLMProviderName;
+  // True when the backend injects SYSTEM_PROMPT and context itself
+  readonly serverSidePrompt?: boolean;
+  generate(messages: ChatMessage[], options?: LLMCallOptions): Promise<string>;
+  stream(
+    messages: ChatMessage[],
+    onChunk: (chunk: string) => void,
+    options?: LLMCallOptions,
+  ): Promise<string>;
+}
+
+const DEFAULT_GEMINI_MODEL = "gemini-2.0-flash";
+
+/**
+ * Convert our message format to LangChain messages
+ */
+function toBaseMessages(messages: ChatMessage[]): BaseMessage[] {
+  return messages.map((msg) => {
+    switch (msg.role) {
+      case "user":
+        return new HumanMessage(msg.content);
+      case "assistant":
+        return new AIMessage(msg.content);
+      case "system":
+        return new SystemMessage(msg.content);
+      default:
+        return new HumanMessage(msg.content);
+    }
+  });
+}
+
+/**
+ * Gemini via LangChain
+ */
+function createGeminiProvider(config: LLMProviderConfig): LLMProvider {
+  if (!config.apiKey) {
+    throw new LLMError("auth", {
+      cause:
+        "GEMINI_API_KEY is not configured. Set PUBLIC_GEMINI_API_KEY environment variable.",
+    });
+  }
+
+  const llm = new ChatGoogleGenerativeAI({
+    model: config.model || DEFAULT_GEMINI_MODEL,
+    temperature: config.temperature,
+    topP: config.topP,
+    maxOutputTokens: config.maxOutputTokens,
+    apiKey: config.apiKey,
+  });
+
+  return {
+    name: "gemini",
+
+    async generate(messages, options = {}) {
+      const response = await llm.invoke(toBaseMessages(messages), {
+        signal: options.signal,
+      });
+      return typeof response.content === "string"
+        ? response.content
+        : JSON.stringify(response.content);
+    },
+
+    async stream(messages, onChunk, options = {}) {
+      const stream = await llm.stream(toBaseMessages(messages), {
+        signal: options.signal,
+      });
+      let fullResponse = "";
+
+      for await (const chunk of stream) {
+        const content = typeof chunk.content === "string" ? chunk.content : "";
+        fullResponse += content;
+        onChunk(content);
+      }
+
+      return fullResponse;
+    },
+  };
+}
+
+/**
+ * Parse an OpenAI-style SSE body, calling onDelta for each content delta.
+ * Throws a safety-blocked LLMError on a content_filter finish reason, and
+ * a network LLMError when the stream ends without [DONE] (cut short).
+ */
+async function readCompletionStream(
+  body: ReadableStream<Uint8Array>,
+  onDelta: (delta: string) => void,
+): Promise<void> {
+  const reader = body.getReader();
+  const decoder = new TextDecoder("utf-8");
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const lines = buffer.split("\n");
+    buffer = lines.pop() || "";
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith("data:")) continue;
+      const data = trimmed.slice(5).trim();
+      if (data === "[DONE]") return;
+      let json;
+      try {
+        json = JSON.parse(data);
+      } catch {
+        continue; // ignore partial JSON
+      }
+
+      const delta =
+        json.choices?.[0]?.delta?.content ??
+        json.choices?.[0]?.message?.content ??
+        "";
+      if (delta) onDelta(delta);
+      if (json.choices?.[0]?.finish_reason === "content_filter") {
+        throw new LLMError("safety-blocked");
+      }
+    }
+  }
+
+  throw new LLMError("network", {
+    cause: "Stream ended before [DONE]",
+  });
+}
+
+/**
+ * Any server exposing an OpenAI-compatible /v1/chat/completions endpoint
+ */
+function createOpenAICompatibleProvider(
+  config: LLMProviderConfig,
+): LLMProvider {
+  if (!config.endpoint) {
+    throw new Error(
+      "LLM endpoint is not configured. Set PUBLIC_LLM_ENDPOINT environment variable.",
+    );
+  }
+  const endpoint = config.endpoint;
+
+  async function request(
+    messages: ChatMessage[],
+    stream: boolean,
+    signal?: AbortSignal,
+  ): Promise<Response> {
+    const headers: Record<string, string> = {
+      "Content-Type": "application/json",
+    };
+    if (config.apiKey) {
+      headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model: config.model, // omitted when unset; server picks its default
+        messages,
+        temperature: config.temperature,
+        top_p: config.topP,
+        max_tokens: config.maxOutputTokens,
+        stream,
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await errorFromResponse(response);
+    }
+    return response;
+  }
+
+  return {
+    name: "openai",
+
+    async generate(messages, options = {}) {
+      const response = await request(messages, false, options.signal);
+      const json = await response.json();
+      return json.choices?.[0]?.message?.content || "";
+    },
+
+    async stream(messages, onChunk, options = {}) {
+      const response = await request(messages, true, options.signal);
+      let fullResponse = "";
+
+      if (!response.body) {
+        const json = await response.json();
+        fullResponse = json.choices?.[0]?.message?.content || "";
+        onChunk(fullResponse);
+        return fullResponse;
+      }
+
+      await readCompletionStream(response.body, (delta) => {
+        fullResponse += delta;
+        onChunk(delta);
+      });
+
+      return fullResponse;
+    },
+  };
+}
+
+/**
+ * Same-origin relay (functions/api/chat.js) - the Gemini key stays on the
+ * server, which also injects SYSTEM_PROMPT (or SUMMARY_PROMPT in summary
+ * mode); we only send history, context and summary
+ */
+function createRelayProvider(config: LLMProviderConfig): LLMProvider {
+  const endpoint = config.endpoint || "/api/chat";
+
+  async function stream(
+    messages: ChatMessage[],
+    onChunk: (chunk: string) => void,
+    options: LLMCallOptions = {},
+  ): Promise<string> {
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        messages: messages.filter((m) => m.role !== "system"),
+        mode: options.mode,
+        context: options.context,
+        summary: options.summary,
+      }),
+      signal: options.signal,
+    });
+
+    if (!response.ok) {
+      throw await errorFromResponse(response);
+    }
+    if (!response.body) {
+      throw new LLMError("network", { status: response.status });
+    }
+
+    let fullResponse = "";
+    await readCompletionStream(response.body, (delta) => {
+      fullResponse += delta;
+      onChunk(delta);
+    });
+
+    return fullResponse;
+  }
+
+  return {
+    name: "relay",
+    serverSidePrompt: true,
+
+    async generate(messages, options) {
+      // The relay always streams; collect the whole reply
+      return stream(messages, () => {}, options);
+    },
+
+    stream,
+  };
+}
+
+/**
+ * Local stub that echoes the last user message - no network required
+ */
+function createStubProvider(): LLMProvider {
+  function reply(messages: ChatMessage[]): string {
+    const lastUser = [...messages].reverse().find((m) => m.role === "user");
+    return `[stub] Otrzymałem wiadomość: "${lastUser?.content ?? ""}"`;
+  }
+
+  return {
+    name: "stub",
+
+    async generate(messages) {
+      return reply(messages);
+    },
+
+    async stream(messages, onChunk, options = {}) {
+      const text = reply(messages);
+      for (const word of text.split(/(?<=\s)/)) {
+        options.signal?.throwIfAborted();
+        onChunk(word);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      return text;
+    },
+  };
+}
+
+/**
+ * Create a provider from configuration
+ */
+export function createProvider(config: LLMProviderConfig): LLMProvider {
+  switch (config.provider) {
+    case "gemini":
+      return createGeminiProvider(config);
+    case "openai":
+      return createOpenAICompatibleProvider(config);
+    case "relay":
+      return createRelayProvider(config);
+    case "stub":
+      return createStubProvider();
+    default:
+      throw new Error(`Unknown LLM provider: ${config.provider}`);
+  }
+}
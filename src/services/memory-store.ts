@@ -1,20 +1,32 @@
 /**
  * Memory Store - IndexedDB-based conversation memory
  * Stores active conversation window up to ~800k tokens
+ * With encryption enabled, message/summary content and session titles are
+ * stored as AES-GCM ciphertext and need the key from setEncryptionKey()
  */
 
-import { openDB, type IDBPDatabase } from "idb";
+import { deleteDB, openDB, type IDBPDatabase } from "idb";
 import { v4 as uuidv4 } from "uuid";
+import { estimateMessageTokens, TOKEN_LIMITS } from "../lib/token-utils";
 import {
-  estimateMessageTokens,
-  calculateTotalTokens,
-  TOKEN_LIMITS,
-} from "../lib/token-utils";
+  decryptText,
+  encryptText,
+  isEncryptedValue,
+  type EncryptedValue,
+} from "../lib/crypto";
+import { MEMORY_DB_NAME } from "../lib/database-names";
+import { deleteSessionChunks } from "./vector-store";
 
-const DB_NAME = "terapeuta-memory";
-const DB_VERSION = 1;
+const DB_NAME = MEMORY_DB_NAME;
+const DB_VERSION = 3;
 const MESSAGES_STORE = "messages";
 const META_STORE = "meta";
+const SESSIONS_STORE = "sessions";
+const SUMMARIES_STORE = "summaries";
+
+export const DEFAULT_SESSION_ID = "default";
+export const DEFAULT_SESSION_TITLE = "Nowa rozmowa";
+const SESSION_TITLE_MAX_LENGTH = 48;
 
 export interface ConversationMessage {
   id: string;
@@ -23,8 +35,168 @@ export interface ConversationMessage {
   createdAt: string;
   tokenCount: number;
   sessionId: string;
+  // Assistant reply cut short by the user (Stop button)
+  interrupted?: boolean;
+  // Archived fragments retrieved as context for an assistant reply
+  citations?: MessageCitation[];
+  // Edit/regenerate history at this message; versions[activeVersion] is live
+  versions?: MessageVersion[];
+  activeVersion?: number;
+}
+
+/**
+ * One version of a message plus the conversation branch that followed it
+ */
+export interface MessageVersion {
+  content: string;
+  createdAt: string;
+  interrupted?: boolean;
+  citations?: MessageCitation[];
+  // Messages that followed this version; empty for the active version,
+  // whose followers are live in the messages store
+  following: ConversationMessage[];
+}
+
+/**
+ * Archived conversation fragment that informed an assistant reply
+ */
+export interface MessageCitation {
+  // Vector store chunk id
+  chunkId: string;
+  text: string;
+  // Similarity to the user message (0-1)
+  score: number;
+  // The fragment also matched the user message by keywords
+  keywordMatch: boolean;
+  // Conversation it was archived from (unknown for older chunks)
+  sessionId?: string;
+  // When it was said (its newest message)
+  date: string;
+  // Marked by the user as not relevant
+  irrelevant?: boolean;
+}
+
+/**
+ * Optional per-message fields accepted by addMessage
+ */
+export type MessageExtras = Partial<
+  Pick<ConversationMessage, "interrupted" | "citations">
+>;
+
+/**
+ * Conversation thread registry entry
+ */
+export interface SessionRecord {
+  id: string;
+  title: string;
+  createdAt: string;
+  lastActiveAt: string;
+  archived: boolean;
+}
+
+/**
+ * Rolling summary of a session's evicted history
+ */
+export interface SessionSummary {
+  sessionId: string;
+  content: string;
+  // Number of evicted messages folded in so far
+  messageCount: number;
+  // createdAt of the newest message folded in
+  coveredUntil: string;
+  updatedAt: string;
+}
+
+/**
+ * How addMessage frees space once memory is over budget:
+ * - "per-session": each session has its own token budget and only its own
+ *   oldest messages are evicted
+ * - "global-lru": sessions share the global budget; the least recently
+ *   active sessions lose their oldest messages first
+ * The global budget is a hard ceiling under both policies.
+ */
+export type EvictionPolicy = "per-session" | "global-lru";
+
+export interface EvictionConfig {
+  policy: EvictionPolicy;
+  sessionBudget: number;
+  globalBudget: number;
+}
+
+/**
+ * Token usage of the whole store or of one session
+ */
+export interface MemoryUsage {
+  tokenTotal: number;
+  messageCount: number;
+  budget: number;
+  percentUsed: number;
+}
+
+/**
+ * Global usage plus (optionally) the usage of one session
+ */
+export interface MemoryStats extends MemoryUsage {
+  policy: EvictionPolicy;
+  session?: MemoryUsage & { sessionId: string };
+}
+
+// Meta record ids: one global total plus one record per session
+const GLOBAL_META_ID = "main";
+const SESSION_META_PREFIX = "session:";
+
+// Evict down to this fraction of a budget to leave some headroom
+const EVICTION_TARGET_RATIO = 0.9;
+
+const EVICTION_CONFIG: EvictionConfig = {
+  policy: "global-lru",
+  sessionBudget: TOKEN_LIMITS.SESSION_MEMORY,
+  globalBudget: TOKEN_LIMITS.ACTIVE_MEMORY,
+};
+
+/**
+ * Passphrase parameters, stored when encryption is enabled. The verifier
+ * is a known plaintext encrypted with the key, used to check passphrases.
+ */
+export interface EncryptionConfig {
+  salt: Uint8Array<ArrayBuffer>;
+  iterations: number;
+  verifier: EncryptedValue;
+}
+
+// Record shapes as persisted: encrypted fields hold ciphertext
+type StoredText = string | EncryptedValue;
+
+interface StoredMessage extends Omit<
+  ConversationMessage,
+  "content" | "citations" | "versions"
+> {
+  content: StoredText;
+  citations?: StoredCitation[];
+  versions?: StoredVersion[];
+}
+
+interface StoredVersion extends Omit<
+  MessageVersion,
+  "content" | "citations" | "following"
+> {
+  content: StoredText;
+  citations?: StoredCitation[];
+  following: StoredMessage[];
 }
 
+type StoredCitation = Omit<MessageCitation, "text"> & { text: StoredText };
+
+type StoredSession = Omit<SessionRecord, "title"> & { title: StoredText };
+type StoredSummary = Omit<SessionSummary, "content"> & { content: StoredText };
+
+const ENCRYPTION_META_ID = "encryption";
+
+// Key for the current unlocked period; never persisted
+let encryptionKey: CryptoKey | null = null;
+// Cached presence of the encryption config (null until first checked)
+let encryptionEnabled: boolean | null = null;
+
 interface MemoryMeta {
   id: string;
   tokenTotal: number;
@@ -42,7 +214,7 @@ let dbPromise: Promise<IDBPDatabase> | null = null;
 async function getDB(): Promise<IDBPDatabase> {
   if (!dbPromise) {
     dbPromise = openDB(DB_NAME, DB_VERSION, {
-      upgrade(db) {
+      upgrade(db, oldVersion, _newVersion, transaction) {
         // Messages store with indexes
         if (!db.objectStoreNames.contains(MESSAGES_STORE)) {
           const messagesStore = db.createObjectStore(MESSAGES_STORE, {
@@ -56,6 +228,36 @@ async function getDB(): Promise<IDBPDatabase> {
         if (!db.objectStoreNames.contains(META_STORE)) {
           db.createObjectStore(META_STORE, { keyPath: "id" });
         }
+
+        // Sessions registry (v2)
+        if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+          const sessionsStore = db.createObjectStore(SESSIONS_STORE, {
+            keyPath: "id",
+          });
+          sessionsStore.createIndex("byLastActiveAt", "lastActiveAt");
+
+          // v1 kept everything in the implicit "default" session
+          if (oldVersion === 1) {
+            const now = new Date().toISOString();
+            transaction.objectStore(SESSIONS_STORE).put({
+              id: DEFAULT_SESSION_ID,
+              title: DEFAULT_SESSION_TITLE,
+              createdAt: now,
+              lastActiveAt: now,
+              archived: false,
+            } satisfies SessionRecord);
+          }
+        }
+
+        // Rolling summaries of evicted history, one per session (v3)
+        if (!db.objectStoreNames.contains(SUMMARIES_STORE)) {
+          db.createObjectStore(SUMMARIES_STORE, { keyPath: "sessionId" });
+        }
+      },
+      // Another tab (or a wipe) wants to upgrade or delete the database:
+      // let go so it is not blocked; the next call reopens it
+      blocking() {
+        closeDB();
       },
     });
   }
@@ -63,47 +265,423 @@ async function getDB(): Promise<IDBPDatabase> {
 }
 
 /**
- * Get current memory metadata
+ * Close the connection, if open
+ */
+async function closeDB(): Promise<void> {
+  const current = dbPromise;
+  dbPromise = null;
+  if (current) (await current).close();
+}
+
+/**
+ * Delete the whole database (not just its stores); the next call
+ * creates a fresh, empty one
+ */
+export async function deleteMemoryDatabase(): Promise<void> {
+  await closeDB();
+  await deleteDB(DB_NAME);
+  encryptionKey = null;
+  encryptionEnabled = null;
+}
+
+/**
+ * Override the eviction policy and budgets at runtime
+ */
+export function configureEviction(config: Partial<EvictionConfig>): void {
+  Object.assign(EVICTION_CONFIG, config);
+}
+
+/**
+ * Get the current eviction configuration
  */
-async function getMeta(): Promise<MemoryMeta> {
+export function getEvictionConfig(): EvictionConfig {
+  return { ...EVICTION_CONFIG };
+}
+
+/**
+ * Get the passphrase parameters, or undefined if encryption is off
+ */
+export async function getEncryptionConfig(): Promise<
+  EncryptionConfig | undefined
+> {
   const db = await getDB();
-  const meta = await db.get(META_STORE, "main");
+  const record = await db.get(META_STORE, ENCRYPTION_META_ID);
+  encryptionEnabled = !!record;
+  if (!record) return undefined;
+
+  const { id: _id, ...config } = record;
+  return config;
+}
+
+/**
+ * Set (unlock) or clear (lock) the key used for encrypted records
+ */
+export function setEncryptionKey(key: CryptoKey | null): void {
+  encryptionKey = key;
+}
+
+/**
+ * Key to read/write records with: null when encryption is off
+ * @throws Error while encryption is on and no key is set (locked)
+ */
+async function currentKey(): Promise<CryptoKey | null> {
+  if (encryptionKey) return encryptionKey;
+  if (encryptionEnabled === null) await getEncryptionConfig();
+  if (encryptionEnabled) throw new Error("Memory store is locked");
+  return null;
+}
+
+async function sealText(
+  text: string,
+  key: CryptoKey | null,
+): Promise<StoredText> {
+  return key ? encryptText(key, text) : text;
+}
+
+async function openText(
+  value: StoredText,
+  key: CryptoKey | null,
+): Promise<string> {
+  if (!isEncryptedValue(value)) return value;
+  if (!key) throw new Error("Memory store is locked");
+  return decryptText(key, value);
+}
+
+async function sealCitations(
+  citations: MessageCitation[] | undefined,
+  key: CryptoKey | null,
+): Promise<StoredCitation[] | undefined> {
   return (
-    meta || {
-      id: "main",
-      tokenTotal: 0,
-      messageCount: 0,
-      updatedAt: new Date().toISOString(),
-      oldestMessageId: null,
-      newestMessageId: null,
-    }
+    citations &&
+    Promise.all(
+      citations.map(async (c) => ({ ...c, text: await sealText(c.text, key) })),
+    )
   );
 }
 
+async function openCitations(
+  citations: StoredCitation[] | undefined,
+  key: CryptoKey | null,
+): Promise<MessageCitation[] | undefined> {
+  return (
+    citations &&
+    Promise.all(
+      citations.map(async (c) => ({ ...c, text: await openText(c.text, key) })),
+    )
+  );
+}
+
+async function sealMessage(
+  msg: ConversationMessage,
+  key: CryptoKey | null,
+): Promise<StoredMessage> {
+  return {
+    ...msg,
+    content: await sealText(msg.content, key),
+    citations: await sealCitations(msg.citations, key),
+    versions:
+      msg.versions &&
+      (await Promise.all(
+        msg.versions.map(async (version) => ({
+          ...version,
+          content: await sealText(version.content, key),
+          citations: await sealCitations(version.citations, key),
+          following: await Promise.all(
+            version.following.map((m) => sealMessage(m, key)),
+          ),
+        })),
+      )),
+  };
+}
+
+async function openMessage(
+  msg: StoredMessage,
+  key: CryptoKey | null,
+): Promise<ConversationMessage> {
+  return {
+    ...msg,
+    content: await openText(msg.content, key),
+    citations: await openCitations(msg.citations, key),
+    versions:
+      msg.versions &&
+      (await Promise.all(
+        msg.versions.map(async (version) => ({
+          ...version,
+          content: await openText(version.content, key),
+          citations: await openCitations(version.citations, key),
+          following: await Promise.all(
+            version.following.map((m) => openMessage(m, key)),
+          ),
+        })),
+      )),
+  };
+}
+
+async function sealSession(
+  session: SessionRecord,
+  key: CryptoKey | null,
+): Promise<StoredSession> {
+  return { ...session, title: await sealText(session.title, key) };
+}
+
+async function openSession(
+  session: StoredSession,
+  key: CryptoKey | null,
+): Promise<SessionRecord> {
+  return { ...session, title: await openText(session.title, key) };
+}
+
+async function sealSummary(
+  summary: SessionSummary,
+  key: CryptoKey | null,
+): Promise<StoredSummary> {
+  return { ...summary, content: await sealText(summary.content, key) };
+}
+
+async function openSummary(
+  summary: StoredSummary,
+  key: CryptoKey | null,
+): Promise<SessionSummary> {
+  return { ...summary, content: await openText(summary.content, key) };
+}
+
+/**
+ * Write a message, encrypting it when encryption is on
+ */
+async function putMessage(msg: ConversationMessage): Promise<void> {
+  const db = await getDB();
+  await db.put(MESSAGES_STORE, await sealMessage(msg, await currentKey()));
+}
+
+/**
+ * Write a session record, encrypting its title when encryption is on
+ */
+async function putSession(session: SessionRecord): Promise<void> {
+  const db = await getDB();
+  await db.put(SESSIONS_STORE, await sealSession(session, await currentKey()));
+}
+
+/**
+ * Re-encrypt every record from oldKey to newKey (either may be null for
+ * plaintext) and store the matching config, or remove it when newKey is
+ * null. All records are converted in memory first, then written in one
+ * transaction so a failure leaves the old state intact.
+ */
+export async function reencryptMemory(
+  oldKey: CryptoKey | null,
+  newKey: CryptoKey | null,
+  config: EncryptionConfig | null,
+): Promise<void> {
+  const db = await getDB();
+  const [messages, sessions, summaries] = await Promise.all([
+    db.getAll(MESSAGES_STORE) as Promise<StoredMessage[]>,
+    db.getAll(SESSIONS_STORE) as Promise<StoredSession[]>,
+    db.getAll(SUMMARIES_STORE) as Promise<StoredSummary[]>,
+  ]);
+
+  const sealedMessages = await Promise.all(
+    messages.map(async (m) =>
+      sealMessage(await openMessage(m, oldKey), newKey),
+    ),
+  );
+  const sealedSessions = await Promise.all(
+    sessions.map(async (s) =>
+      sealSession(await openSession(s, oldKey), newKey),
+    ),
+  );
+  const sealedSummaries = await Promise.all(
+    summaries.map(async (s) =>
+      sealSummary(await openSummary(s, oldKey), newKey),
+    ),
+  );
+
+  const tx = db.transaction(
+    [MESSAGES_STORE, SESSIONS_STORE, SUMMARIES_STORE, META_STORE],
+    "readwrite",
+  );
+  for (const m of sealedMessages) tx.objectStore(MESSAGES_STORE).put(m);
+  for (const s of sealedSessions) tx.objectStore(SESSIONS_STORE).put(s);
+  for (const s of sealedSummaries) tx.objectStore(SUMMARIES_STORE).put(s);
+  if (config) {
+    tx.objectStore(META_STORE).put({ id: ENCRYPTION_META_ID, ...config });
+  } else {
+    tx.objectStore(META_STORE).delete(ENCRYPTION_META_ID);
+  }
+  await tx.done;
+
+  encryptionKey = newKey;
+  encryptionEnabled = !!config;
+}
+
 /**
- * Update memory metadata
+ * Meta record id for a session, or the global record when omitted
  */
-async function updateMeta(updates: Partial<MemoryMeta>): Promise<void> {
+function metaId(sessionId?: string): string {
+  return sessionId ? `${SESSION_META_PREFIX}${sessionId}` : GLOBAL_META_ID;
+}
+
+/**
+ * Get current memory metadata (global, or for one session)
+ * Session records missing from older databases are rebuilt on first read
+ */
+async function getMeta(sessionId?: string): Promise<MemoryMeta> {
   const db = await getDB();
-  const current = await getMeta();
+  const meta = await db.get(META_STORE, metaId(sessionId));
+  if (meta) return meta;
+  if (sessionId) return recalculateSessionMeta(sessionId);
+
+  return {
+    id: GLOBAL_META_ID,
+    tokenTotal: 0,
+    messageCount: 0,
+    updatedAt: new Date().toISOString(),
+    oldestMessageId: null,
+    newestMessageId: null,
+  };
+}
+
+/**
+ * Update memory metadata (global, or for one session)
+ */
+async function updateMeta(
+  updates: Partial<MemoryMeta>,
+  sessionId?: string,
+): Promise<void> {
+  const db = await getDB();
+  const current = await db.get(META_STORE, metaId(sessionId));
   await db.put(META_STORE, {
+    id: metaId(sessionId),
+    tokenTotal: 0,
+    messageCount: 0,
+    oldestMessageId: null,
+    newestMessageId: null,
     ...current,
     ...updates,
     updatedAt: new Date().toISOString(),
   });
 }
 
+/**
+ * Meta fields describing a list of messages (oldest first)
+ * Uses the stored token counts, so content never needs decrypting
+ */
+function summarizeMessages(
+  messages: Pick<ConversationMessage, "id" | "tokenCount">[],
+): Omit<MemoryMeta, "id" | "updatedAt"> {
+  return {
+    tokenTotal: messages.reduce((sum, msg) => sum + msg.tokenCount, 0),
+    messageCount: messages.length,
+    oldestMessageId: messages[0]?.id || null,
+    newestMessageId: messages[messages.length - 1]?.id || null,
+  };
+}
+
+/**
+ * Delete messages in the given order until at least `tokensToFree`
+ * tokens are released. Returns the deleted messages.
+ */
+async function evictMessages(
+  candidates: StoredMessage[],
+  tokensToFree: number,
+): Promise<ConversationMessage[]> {
+  const db = await getDB();
+  const key = await currentKey();
+  const evicted: ConversationMessage[] = [];
+  let freed = 0;
+
+  for (const msg of candidates) {
+    if (freed >= tokensToFree) break;
+
+    evicted.push(await openMessage(msg, key));
+    freed += msg.tokenCount;
+    await db.delete(MESSAGES_STORE, msg.id);
+  }
+
+  return evicted;
+}
+
+/**
+ * All messages ordered for global LRU eviction: sessions by last activity
+ * (least recent first, the writing session last), oldest messages first
+ * within each session
+ */
+async function messagesByLeastRecentSession(
+  currentSessionId: string,
+): Promise<StoredMessage[]> {
+  const db = await getDB();
+  const sessions: StoredSession[] = await db.getAllFromIndex(
+    SESSIONS_STORE,
+    "byLastActiveAt",
+  );
+  const rank = new Map(sessions.map((session, index) => [session.id, index]));
+  const sessionRank = (id: string) =>
+    id === currentSessionId ? Infinity : (rank.get(id) ?? -1);
+
+  const messages: StoredMessage[] = await db.getAllFromIndex(
+    MESSAGES_STORE,
+    "byCreatedAt",
+  );
+  // Array.prototype.sort is stable, so createdAt order holds within a session
+  return messages.sort(
+    (a, b) => sessionRank(a.sessionId) - sessionRank(b.sessionId),
+  );
+}
+
+/**
+ * Make room for `incomingTokens` in a session according to the eviction
+ * policy. Returns the evicted messages (possibly from other sessions).
+ */
+async function evictForIncoming(
+  sessionId: string,
+  incomingTokens: number,
+): Promise<ConversationMessage[]> {
+  const { policy, sessionBudget, globalBudget } = EVICTION_CONFIG;
+  const evicted: ConversationMessage[] = [];
+
+  if (policy === "per-session") {
+    const sessionMeta = await getMeta(sessionId);
+    const sessionTotal = sessionMeta.tokenTotal + incomingTokens;
+
+    if (sessionTotal > sessionBudget) {
+      evicted.push(
+        ...(await evictMessages(
+          await readSessionMessages(sessionId),
+          sessionTotal - sessionBudget * EVICTION_TARGET_RATIO,
+        )),
+      );
+    }
+  }
+
+  const globalMeta = await getMeta();
+  const globalTotal =
+    globalMeta.tokenTotal -
+    evicted.reduce((sum, msg) => sum + msg.tokenCount, 0) +
+    incomingTokens;
+
+  if (globalTotal > globalBudget) {
+    evicted.push(
+      ...(await evictMessages(
+        await messagesByLeastRecentSession(sessionId),
+        globalTotal - globalBudget * EVICTION_TARGET_RATIO,
+      )),
+    );
+  }
+
+  return evicted;
+}
+
 /**
  * Add a message to memory
- * Returns messages that were evicted (for archiving to vector DB)
+ * Returns messages that were evicted (for archiving to vector DB); under
+ * the global LRU policy these may belong to other sessions
  */
 export async function addMessage(
   role: "user" | "assistant" | "system",
   content: string,
-  sessionId: string = "default",
+  sessionId: string = DEFAULT_SESSION_ID,
+  extras: MessageExtras = {},
 ): Promise<{ message: ConversationMessage; evicted: ConversationMessage[] }> {
   const db = await getDB();
-  const meta = await getMeta();
 
   const message: ConversationMessage = {
     id: uuidv4(),
@@ -112,53 +690,80 @@ export async function addMessage(
     createdAt: new Date().toISOString(),
     tokenCount: estimateMessageTokens({ role, content }),
     sessionId,
+    ...extras,
   };
 
   // Check if we need to evict old messages
-  const evicted: ConversationMessage[] = [];
-  let newTokenTotal = meta.tokenTotal + message.tokenCount;
+  const evicted = await evictForIncoming(sessionId, message.tokenCount);
 
-  if (newTokenTotal > TOKEN_LIMITS.ACTIVE_MEMORY) {
-    // Get oldest messages to evict
-    const allMessages = await db.getAllFromIndex(MESSAGES_STORE, "byCreatedAt");
+  // Add the new message
+  await db.add(MESSAGES_STORE, await sealMessage(message, await currentKey()));
+  await touchSession(sessionId, role === "user" ? content : undefined);
 
-    for (const oldMsg of allMessages) {
-      if (newTokenTotal <= TOKEN_LIMITS.ACTIVE_MEMORY * 0.9) break; // Leave 10% buffer
+  // Update metadata for every session that changed
+  await recalculateMeta([sessionId, ...evicted.map((msg) => msg.sessionId)]);
 
-      evicted.push(oldMsg);
-      newTokenTotal -= oldMsg.tokenCount;
-      await db.delete(MESSAGES_STORE, oldMsg.id);
-    }
-  }
+  return { message, evicted };
+}
 
-  // Add the new message
-  await db.add(MESSAGES_STORE, message);
-
-  // Update metadata
-  const allMessages = await db.getAllFromIndex(MESSAGES_STORE, "byCreatedAt");
-  await updateMeta({
-    tokenTotal: newTokenTotal,
-    messageCount: allMessages.length,
-    oldestMessageId: allMessages[0]?.id || null,
-    newestMessageId: allMessages[allMessages.length - 1]?.id || null,
-  });
+/**
+ * Put evicted messages back, e.g. when archiving them failed; they are
+ * evicted (and archived) again to make room for a later message.
+ * Messages of a session deleted meanwhile stay deleted.
+ */
+export async function restoreMessages(
+  messages: ConversationMessage[],
+): Promise<void> {
+  const db = await getDB();
+  const key = await currentKey();
 
-  return { message, evicted };
+  for (const msg of messages) {
+    if (!(await db.get(SESSIONS_STORE, msg.sessionId))) continue;
+    await db.put(MESSAGES_STORE, await sealMessage(msg, key));
+  }
+  await recalculateMeta(messages.map((msg) => msg.sessionId));
 }
 
 /**
- * Get all messages in the active memory window
+ * Read a session's stored (possibly encrypted) messages, oldest first
+ */
+async function readSessionMessages(
+  sessionId: string,
+): Promise<StoredMessage[]> {
+  const db = await getDB();
+  // bySessionId orders by primary key (random uuid) within a session
+  const messages: StoredMessage[] = await db.getAllFromIndex(
+    MESSAGES_STORE,
+    "bySessionId",
+    sessionId,
+  );
+  return messages.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Get all messages in the active memory window, oldest first
  */
 export async function getMessages(
   sessionId?: string,
 ): Promise<ConversationMessage[]> {
   const db = await getDB();
+  const key = await currentKey();
+  const messages: StoredMessage[] = sessionId
+    ? await readSessionMessages(sessionId)
+    : await db.getAllFromIndex(MESSAGES_STORE, "byCreatedAt");
 
-  if (sessionId) {
-    return db.getAllFromIndex(MESSAGES_STORE, "bySessionId", sessionId);
-  }
+  return Promise.all(messages.map((msg) => openMessage(msg, key)));
+}
 
-  return db.getAllFromIndex(MESSAGES_STORE, "byCreatedAt");
+/**
+ * Get a single message by id
+ */
+export async function getMessage(
+  id: string,
+): Promise<ConversationMessage | undefined> {
+  const db = await getDB();
+  const message: StoredMessage | undefined = await db.get(MESSAGES_STORE, id);
+  return message && openMessage(message, await currentKey());
 }
 
 /**
@@ -185,37 +790,56 @@ export async function getRecentMessages(
 }
 
 /**
- * Get memory statistics
+ * Usage figures against a budget
  */
-export async function getMemoryStats(): Promise<{
-  tokenTotal: number;
-  messageCount: number;
-  percentUsed: number;
-}> {
-  const meta = await getMeta();
+function toUsage(meta: MemoryMeta, budget: number): MemoryUsage {
   return {
     tokenTotal: meta.tokenTotal,
     messageCount: meta.messageCount,
-    percentUsed: (meta.tokenTotal / TOKEN_LIMITS.ACTIVE_MEMORY) * 100,
+    budget,
+    percentUsed: (meta.tokenTotal / budget) * 100,
   };
 }
 
 /**
- * Clear all messages (for testing or reset)
+ * Get memory statistics: global totals, plus the given session's usage
+ * against its budget (the global one under the global LRU policy)
+ */
+export async function getMemoryStats(sessionId?: string): Promise<MemoryStats> {
+  const { policy, sessionBudget, globalBudget } = EVICTION_CONFIG;
+  const stats: MemoryStats = {
+    ...toUsage(await getMeta(), globalBudget),
+    policy,
+  };
+
+  if (sessionId) {
+    stats.session = {
+      ...toUsage(
+        await getMeta(sessionId),
+        policy === "per-session" ? sessionBudget : globalBudget,
+      ),
+      sessionId,
+    };
+  }
+
+  return stats;
+}
+
+/**
+ * Clear all messages (for testing or reset); encryption stays configured
  */
 export async function clearMemory(): Promise<void> {
   const db = await getDB();
+  const encryption = await db.get(META_STORE, ENCRYPTION_META_ID);
   await db.clear(MESSAGES_STORE);
-  await updateMeta({
-    tokenTotal: 0,
-    messageCount: 0,
-    oldestMessageId: null,
-    newestMessageId: null,
-  });
+  await db.clear(META_STORE);
+  await db.clear(SUMMARIES_STORE);
+  if (encryption) await db.put(META_STORE, encryption);
+  await updateMeta(summarizeMessages([]));
 }
 
 /**
- * Delete a specific session's messages
+ * Delete a specific session's messages and summary
  */
 export async function clearSession(sessionId: string): Promise<void> {
   const db = await getDB();
@@ -228,15 +852,459 @@ export async function clearSession(sessionId: string): Promise<void> {
   for (const msg of messages) {
     await db.delete(MESSAGES_STORE, msg.id);
   }
+  await db.delete(SUMMARIES_STORE, sessionId);
+
+  await recalculateMeta([sessionId]);
+}
 
-  // Recalculate meta
+/**
+ * Rebuild one session's metadata from the messages store
+ */
+async function recalculateSessionMeta(sessionId: string): Promise<MemoryMeta> {
+  await updateMeta(
+    summarizeMessages(await readSessionMessages(sessionId)),
+    sessionId,
+  );
+  return getMeta(sessionId);
+}
+
+/**
+ * Recalculate the global metadata, and that of the given sessions, from
+ * the messages store
+ */
+async function recalculateMeta(sessionIds: string[] = []): Promise<void> {
+  const db = await getDB();
   const remaining = await db.getAllFromIndex(MESSAGES_STORE, "byCreatedAt");
-  const tokenTotal = calculateTotalTokens(remaining);
+  await updateMeta(summarizeMessages(remaining));
+
+  for (const sessionId of new Set(sessionIds)) {
+    await recalculateSessionMeta(sessionId);
+  }
+}
+
+/**
+ * Get a session's rolling summary, if any history was summarized yet
+ */
+export async function getSummary(
+  sessionId: string,
+): Promise<SessionSummary | undefined> {
+  const db = await getDB();
+  const summary: StoredSummary | undefined = await db.get(
+    SUMMARIES_STORE,
+    sessionId,
+  );
+  return summary && openSummary(summary, await currentKey());
+}
+
+/**
+ * Replace a session's summary with one that also covers `summarized`
+ */
+export async function saveSummary(
+  sessionId: string,
+  content: string,
+  summarized: ConversationMessage[],
+): Promise<SessionSummary> {
+  const db = await getDB();
+  const previous = await getSummary(sessionId);
+  const summary: SessionSummary = {
+    sessionId,
+    content,
+    messageCount: (previous?.messageCount ?? 0) + summarized.length,
+    coveredUntil:
+      summarized[summarized.length - 1]?.createdAt ??
+      previous?.coveredUntil ??
+      new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+
+  await db.put(SUMMARIES_STORE, await sealSummary(summary, await currentKey()));
+  return summary;
+}
+
+/**
+ * Remove and return the messages that follow a message in its session
+ */
+async function detachFollowing(
+  message: ConversationMessage,
+): Promise<ConversationMessage[]> {
+  const db = await getDB();
+  const sessionMessages = await getMessages(message.sessionId);
+  const index = sessionMessages.findIndex((m) => m.id === message.id);
+  const following = sessionMessages.slice(index + 1);
+
+  for (const msg of following) {
+    await db.delete(MESSAGES_STORE, msg.id);
+  }
+
+  return following;
+}
+
+/**
+ * Seed the version list of a message that has never been branched
+ */
+function ensureVersions(message: ConversationMessage): MessageVersion[] {
+  return (
+    message.versions ?? [
+      {
+        content: message.content,
+        createdAt: message.createdAt,
+        interrupted: message.interrupted,
+        citations: message.citations,
+        following: [],
+      },
+    ]
+  );
+}
+
+/**
+ * Replace a message's content with a new version, truncating the
+ * conversation after it. The previous content and the discarded branch
+ * are kept as an alternate version (see switchMessageVersion).
+ */
+export async function branchMessage(
+  id: string,
+  newContent: string,
+  extras: MessageExtras = {},
+): Promise<ConversationMessage> {
+  const db = await getDB();
+  const message = await getMessage(id);
+  if (!message) throw new Error(`Message not found: ${id}`);
+
+  const versions = ensureVersions(message);
+  const active = message.activeVersion ?? 0;
+  versions[active] = {
+    ...versions[active],
+    following: await detachFollowing(message),
+  };
+  versions.push({
+    content: newContent,
+    createdAt: new Date().toISOString(),
+    interrupted: extras.interrupted,
+    citations: extras.citations,
+    following: [],
+  });
+
+  const updated: ConversationMessage = {
+    ...message,
+    content: newContent,
+    tokenCount: estimateMessageTokens({
+      role: message.role,
+      content: newContent,
+    }),
+    interrupted: extras.interrupted,
+    citations: extras.citations,
+    versions,
+    activeVersion: versions.length - 1,
+  };
+  await putMessage(updated);
+  await recalculateMeta([message.sessionId]);
+
+  return updated;
+}
+
+/**
+ * Make another version of a message active, swapping the conversation
+ * branch that follows it
+ */
+export async function switchMessageVersion(
+  id: string,
+  versionIndex: number,
+): Promise<ConversationMessage> {
+  const db = await getDB();
+  const message = await getMessage(id);
+  if (!message?.versions) throw new Error(`Message has no versions: ${id}`);
+
+  const versions = [...message.versions];
+  const target = versions[versionIndex];
+  const active = message.activeVersion ?? 0;
+  if (!target) throw new Error(`Version not found: ${versionIndex}`);
+  if (versionIndex === active) return message;
+
+  versions[active] = {
+    ...versions[active],
+    following: await detachFollowing(message),
+  };
+  for (const msg of target.following) {
+    await putMessage(msg);
+  }
+  versions[versionIndex] = { ...target, following: [] };
+
+  const updated: ConversationMessage = {
+    ...message,
+    content: target.content,
+    tokenCount: estimateMessageTokens({
+      role: message.role,
+      content: target.content,
+    }),
+    interrupted: target.interrupted,
+    citations: target.citations,
+    versions,
+    activeVersion: versionIndex,
+  };
+  await putMessage(updated);
+  await recalculateMeta([message.sessionId]);
+
+  return updated;
+}
+
+/**
+ * Flag (or unflag) a citation of a message as irrelevant
+ */
+export async function setCitationIrrelevant(
+  id: string,
+  chunkId: string,
+  irrelevant: boolean,
+): Promise<ConversationMessage> {
+  const message = await getMessage(id);
+  if (!message) throw new Error(`Message not found: ${id}`);
+
+  const mark = (citations?: MessageCitation[]) =>
+    citations?.map((c) => (c.chunkId === chunkId ? { ...c, irrelevant } : c));
+  const active = message.activeVersion ?? 0;
+  const updated: ConversationMessage = {
+    ...message,
+    citations: mark(message.citations),
+    versions: message.versions?.map((version, index) =>
+      index === active
+        ? { ...version, citations: mark(version.citations) }
+        : version,
+    ),
+  };
+  await putMessage(updated);
+
+  return updated;
+}
+
+/**
+ * Derive a session title from the first user message
+ */
+function titleFromContent(content: string): string {
+  const singleLine = content.replace(/\s+/g, " ").trim();
+  return singleLine.length > SESSION_TITLE_MAX_LENGTH
+    ? `${singleLine.slice(0, SESSION_TITLE_MAX_LENGTH - 1).trimEnd()}…`
+    : singleLine;
+}
+
+/**
+ * Mark a session as active now, registering it if needed. An untitled
+ * session takes its title from titleHint (the first user message).
+ */
+async function touchSession(
+  sessionId: string,
+  titleHint?: string,
+): Promise<void> {
+  const now = new Date().toISOString();
+  const existing = await getSessionRecord(sessionId);
+
+  const session: SessionRecord = existing ?? {
+    id: sessionId,
+    title: DEFAULT_SESSION_TITLE,
+    createdAt: now,
+    lastActiveAt: now,
+    archived: false,
+  };
+  session.lastActiveAt = now;
+  if (titleHint && session.title === DEFAULT_SESSION_TITLE) {
+    session.title = titleFromContent(titleHint) || DEFAULT_SESSION_TITLE;
+  }
+
+  await putSession(session);
+}
+
+/**
+ * List sessions, most recently active first
+ */
+export async function listSessions(
+  includeArchived = false,
+): Promise<SessionRecord[]> {
+  const db = await getDB();
+  const key = await currentKey();
+  const sessions: StoredSession[] = await db.getAllFromIndex(
+    SESSIONS_STORE,
+    "byLastActiveAt",
+  );
 
-  await updateMeta({
-    tokenTotal,
-    messageCount: remaining.length,
-    oldestMessageId: remaining[0]?.id || null,
-    newestMessageId: remaining[remaining.length - 1]?.id || null,
+  return Promise.all(
+    sessions
+      .reverse()
+      .filter((session) => includeArchived || !session.archived)
+      .map((session) => openSession(session, key)),
+  );
+}
+
+/**
+ * Get a session record by id
+ */
+export async function getSessionRecord(
+  id: string,
+): Promise<SessionRecord | undefined> {
+  const db = await getDB();
+  const session: StoredSession | undefined = await db.get(SESSIONS_STORE, id);
+  return session && openSession(session, await currentKey());
+}
+
+/**
+ * Create a new, empty session
+ */
+export async function createSession(
+  title: string = DEFAULT_SESSION_TITLE,
+): Promise<SessionRecord> {
+  const db = await getDB();
+  const now = new Date().toISOString();
+  const session: SessionRecord = {
+    id: uuidv4(),
+    title,
+    createdAt: now,
+    lastActiveAt: now,
+    archived: false,
+  };
+
+  await db.add(SESSIONS_STORE, await sealSession(session, await currentKey()));
+  return session;
+}
+
+/**
+ * Update a session's title and/or archived flag
+ */
+export async function updateSession(
+  id: string,
+  updates: Partial<Pick<SessionRecord, "title" | "archived">>,
+): Promise<SessionRecord> {
+  const session = await getSessionRecord(id);
+  if (!session) throw new Error(`Session not found: ${id}`);
+
+  const updated = { ...session, ...updates };
+  await putSession(updated);
+  return updated;
+}
+
+/**
+ * Rename a session
+ */
+export async function renameSession(
+  id: string,
+  title: string,
+): Promise<SessionRecord> {
+  return updateSession(id, { title: title.trim() || DEFAULT_SESSION_TITLE });
+}
+
+/**
+ * Restore an exported session under fresh ids, so importing never
+ * overwrites an existing conversation (or a previous import of it).
+ * Token counts are recomputed; eviction catches up on the next message.
+ */
+export async function importSession(
+  session: Pick<SessionRecord, "title" | "createdAt"> &
+    Partial<Pick<SessionRecord, "archived">>,
+  messages: ConversationMessage[],
+  summary: Pick<
+    SessionSummary,
+    "content" | "messageCount" | "coveredUntil"
+  > | null,
+): Promise<{ session: SessionRecord; messages: ConversationMessage[] }> {
+  const db = await getDB();
+  const key = await currentKey();
+  const sessionId = uuidv4();
+
+  const remap = (msg: ConversationMessage): ConversationMessage => ({
+    ...msg,
+    id: uuidv4(),
+    sessionId,
+    tokenCount: estimateMessageTokens(msg),
+    versions: msg.versions?.map((version) => ({
+      ...version,
+      following: version.following.map(remap),
+    })),
   });
+  const restored = messages.map(remap);
+
+  for (const msg of restored) {
+    await db.put(MESSAGES_STORE, await sealMessage(msg, key));
+  }
+
+  const lastActiveAt =
+    restored[restored.length - 1]?.createdAt ?? session.createdAt;
+  const record: SessionRecord = {
+    id: sessionId,
+    title: session.title.trim() || DEFAULT_SESSION_TITLE,
+    createdAt: session.createdAt,
+    lastActiveAt,
+    archived: session.archived ?? false,
+  };
+  await db.put(SESSIONS_STORE, await sealSession(record, key));
+
+  if (summary) {
+    const restoredSummary: SessionSummary = {
+      sessionId,
+      content: summary.content,
+      messageCount: summary.messageCount,
+      coveredUntil: summary.coveredUntil,
+      updatedAt: new Date().toISOString(),
+    };
+    await db.put(SUMMARIES_STORE, await sealSummary(restoredSummary, key));
+  }
+
+  await recalculateMeta([sessionId]);
+  return { session: record, messages: restored };
+}
+
+/**
+ * Delete a session, its messages and its archived chunks. The chunks go
+ * first, so a failure leaves the session in place to delete again.
+ */
+export async function deleteSession(id: string): Promise<void> {
+  await deleteSessionChunks(id);
+  const db = await getDB();
+  await clearSession(id);
+  await db.delete(SESSIONS_STORE, id);
+  await db.delete(META_STORE, metaId(id));
+}
+
+/**
+ * Delete everything older than the cutoff (ISO timestamp): messages by
+ * creation time, summaries by last update, and whole sessions inactive
+ * since before it. Only reads unencrypted fields, so it also runs while
+ * the store is locked.
+ */
+export async function deleteExpired(
+  before: string,
+): Promise<{ messages: number; summaries: number; sessions: number }> {
+  const db = await getDB();
+  const range = IDBKeyRange.upperBound(before, true);
+  const expiredMessages: StoredMessage[] = await db.getAllFromIndex(
+    MESSAGES_STORE,
+    "byCreatedAt",
+    range,
+  );
+  const expiredSessions: StoredSession[] = await db.getAllFromIndex(
+    SESSIONS_STORE,
+    "byLastActiveAt",
+    range,
+  );
+  const expiredSummaries = (
+    (await db.getAll(SUMMARIES_STORE)) as StoredSummary[]
+  ).filter((summary) => summary.updatedAt < before);
+
+  for (const msg of expiredMessages) {
+    await db.delete(MESSAGES_STORE, msg.id);
+  }
+  for (const summary of expiredSummaries) {
+    await db.delete(SUMMARIES_STORE, summary.sessionId);
+  }
+  for (const session of expiredSessions) {
+    await deleteSession(session.id);
+  }
+
+  const deletedIds = new Set(expiredSessions.map((session) => session.id));
+  await recalculateMeta(
+    expiredMessages
+      .map((msg) => msg.sessionId)
+      .filter((sessionId) => !deletedIds.has(sessionId)),
+  );
+
+  return {
+    messages: expiredMessages.length,
+    summaries: expiredSummaries.length,
+    sessions: expiredSessions.length,
+  };
 }
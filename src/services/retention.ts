@@ -0,0 +1,105 @@
+/**
+ * Retention - automatic expiry of stored conversations
+ * Deletes active messages, session summaries, archived chunks and cached
+ * embeddings older than the user's chosen period, on startup and then
+ * periodically
+ */
+
+import { deleteExpired } from "./memory-store";
+import { expireChunks } from "./vector-store";
+import { expireEmbeddingCache } from "./embeddings";
+
+export type RetentionPeriod = "24h" | "7d" | "30d" | "forever";
+
+export interface RetentionResult {
+  messages: number;
+  summaries: number;
+  sessions: number;
+  chunks: number;
+  // Cached embeddings not used within the period
+  embeddings: number;
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long data is kept; null keeps it until the user deletes it
+export const RETENTION_PERIODS: Record<RetentionPeriod, number | null> = {
+  "24h": 24 * HOUR_MS,
+  "7d": 7 * 24 * HOUR_MS,
+  "30d": 30 * 24 * HOUR_MS,
+  forever: null,
+};
+
+const RETENTION_STORAGE_KEY = "terapeuta-retention";
+const DEFAULT_RETENTION: RetentionPeriod = "forever";
+const RETENTION_CHECK_INTERVAL_MS = HOUR_MS;
+
+let retentionTimer: ReturnType<typeof setInterval> | null = null;
+
+/**
+ * Read the chosen retention period (localStorage may be unavailable)
+ */
+export function getRetentionPeriod(): RetentionPeriod {
+  try {
+    const period = localStorage.getItem(RETENTION_STORAGE_KEY);
+    return period && period in RETENTION_PERIODS
+      ? (period as RetentionPeriod)
+      : DEFAULT_RETENTION;
+  } catch {
+    return DEFAULT_RETENTION;
+  }
+}
+
+/**
+ * Persist the retention period; it takes effect on the next enforcement
+ */
+export function setRetentionPeriod(period: RetentionPeriod): void {
+  try {
+    localStorage.setItem(RETENTION_STORAGE_KEY, period);
+  } catch {
+    // Not persisted; the period applies until the page is closed
+  }
+}
+
+/**
+ * Delete everything older than the retention period allows
+ */
+export async function enforceRetention(
+  period: RetentionPeriod = getRetentionPeriod(),
+): Promise<RetentionResult> {
+  const maxAge = RETENTION_PERIODS[period];
+  if (maxAge === null) {
+    return { messages: 0, summaries: 0, sessions: 0, chunks: 0, embeddings: 0 };
+  }
+
+  const before = new Date(Date.now() - maxAge).toISOString();
+  const [expired, chunks, embeddings] = await Promise.all([
+    deleteExpired(before),
+    expireChunks(before),
+    expireEmbeddingCache(before),
+  ]);
+  return { ...expired, chunks, embeddings };
+}
+
+/**
+ * Enforce retention now and then every hour; onExpired runs whenever
+ * something was deleted
+ */
+export function startRetentionSchedule(
+  onExpired?: (result: RetentionResult) => void,
+): void {
+  const run = async () => {
+    try {
+      const result = await enforceRetention();
+      if (Object.values(result).some((count) => count > 0)) {
+        onExpired?.(result);
+      }
+    } catch (e) {
+      console.warn("Failed to enforce retention:", e);
+    }
+  };
+
+  if (retentionTimer) clearInterval(retentionTimer);
+  retentionTimer = setInterval(run, RETENTION_CHECK_INTERVAL_MS);
+  run();
+}
@@ -0,0 +1,238 @@
+/**
+ * Vault - optional passphrase encryption at rest
+ * Derives the key from the passphrase, unlocks/locks the memory and vector
+ * stores, auto-locks after inactivity and re-encrypts on passphrase changes.
+ * The key only lives in memory; a forgotten passphrase cannot be recovered.
+ */
+
+import {
+  decryptText,
+  deriveKey,
+  encryptText,
+  generateSalt,
+  PBKDF2_ITERATIONS,
+} from "../lib/crypto";
+import {
+  getEncryptionConfig,
+  reencryptMemory,
+  setEncryptionKey,
+  type EncryptionConfig,
+} from "./memory-store";
+import { reencryptVectors, setVectorKey } from "./vector-store";
+import { deleteEmbeddingCache } from "./embeddings";
+
+export type VaultStatus = "disabled" | "locked" | "unlocked";
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// Known plaintext encrypted into the config to check passphrases
+const VERIFIER_TEXT = "terapeuta-vault";
+// Set while encryption is on, so the widget loads the vault (and shows
+// the lock screen) on page load only when needed; read by chat-security
+const ENCRYPTED_FLAG_KEY = "terapeuta-encrypted";
+
+const AUTO_LOCK_CONFIG: { timeoutMs: number | null } = {
+  timeoutMs: 10 * 60 * 1000,
+};
+
+let activeKey: CryptoKey | null = null;
+let autoLockTimer: ReturnType<typeof setTimeout> | null = null;
+const lockListeners = new Set<() => void>();
+
+/**
+ * Record whether encryption is on (localStorage may be unavailable)
+ */
+function rememberEncryption(enabled: boolean): void {
+  try {
+    if (enabled) localStorage.setItem(ENCRYPTED_FLAG_KEY, "1");
+    else localStorage.removeItem(ENCRYPTED_FLAG_KEY);
+  } catch {
+    // The vault is then loaded when the settings panel opens
+  }
+}
+
+/**
+ * Whether encryption is on and, if so, whether the vault is unlocked
+ */
+export async function getVaultStatus(): Promise<VaultStatus> {
+  const enabled = Boolean(await getEncryptionConfig());
+  rememberEncryption(enabled);
+  if (!enabled) return "disabled";
+  return activeKey ? "unlocked" : "locked";
+}
+
+/**
+ * Hand the key to both stores and restart the inactivity timer
+ */
+function applyKey(key: CryptoKey | null): void {
+  activeKey = key;
+  setEncryptionKey(key);
+  setVectorKey(key);
+  scheduleAutoLock();
+}
+
+/**
+ * Derive a key for a new passphrase, with a fresh salt and verifier
+ */
+async function createKey(
+  passphrase: string,
+): Promise<{ key: CryptoKey; config: EncryptionConfig }> {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(
+      `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`,
+    );
+  }
+
+  const salt = generateSalt();
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const verifier = await encryptText(key, VERIFIER_TEXT);
+  return { key, config: { salt, iterations: PBKDF2_ITERATIONS, verifier } };
+}
+
+/**
+ * Derive the key for a passphrase, or null if it is wrong
+ */
+async function keyForPassphrase(
+  passphrase: string,
+  config: EncryptionConfig,
+): Promise<CryptoKey | null> {
+  const key = await deriveKey(passphrase, config.salt, config.iterations);
+  try {
+    return (await decryptText(key, config.verifier)) === VERIFIER_TEXT
+      ? key
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Re-encrypt vectors, then memory; if memory fails, the vectors are
+ * rolled back so both stores stay on the same key
+ */
+async function reencryptAll(
+  oldKey: CryptoKey | null,
+  newKey: CryptoKey | null,
+  config: EncryptionConfig | null,
+): Promise<void> {
+  await reencryptVectors(oldKey, newKey);
+  try {
+    await reencryptMemory(oldKey, newKey, config);
+  } catch (error) {
+    await reencryptVectors(newKey, oldKey).catch((e) =>
+      console.warn("Failed to roll back vector encryption:", e),
+    );
+    throw error;
+  }
+}
+
+/**
+ * Turn on encryption and encrypt all existing records
+ * @throws Error if already enabled or the passphrase is too short
+ */
+export async function enableEncryption(passphrase: string): Promise<void> {
+  if (await getEncryptionConfig()) {
+    throw new Error("Encryption is already enabled");
+  }
+
+  const { key, config } = await createKey(passphrase);
+  await reencryptAll(null, key, config);
+  applyKey(key);
+  rememberEncryption(true);
+  // Hashes of the now encrypted text must not outlive it; nothing is
+  // persisted there while encryption is on
+  deleteEmbeddingCache().catch((e) =>
+    console.warn("Failed to delete embedding cache:", e),
+  );
+}
+
+/**
+ * Unlock with a passphrase; resolves false if it is wrong
+ */
+export async function unlockVault(passphrase: string): Promise<boolean> {
+  const config = await getEncryptionConfig();
+  if (!config) return true;
+
+  const key = await keyForPassphrase(passphrase, config);
+  if (!key) return false;
+
+  applyKey(key);
+  return true;
+}
+
+/**
+ * Forget the key and notify listeners (no-op while encryption is off)
+ */
+export function lockVault(): void {
+  if (!activeKey) return;
+
+  applyKey(null);
+  for (const listener of lockListeners) listener();
+}
+
+/**
+ * Re-encrypt everything under a new passphrase
+ * @throws Error if the current passphrase is wrong or encryption is off
+ */
+export async function changePassphrase(
+  current: string,
+  next: string,
+): Promise<void> {
+  const config = await getEncryptionConfig();
+  if (!config) throw new Error("Encryption is not enabled");
+
+  const oldKey = await keyForPassphrase(current, config);
+  if (!oldKey) throw new Error("Wrong passphrase");
+
+  const { key, config: nextConfig } = await createKey(next);
+  await reencryptAll(oldKey, key, nextConfig);
+  applyKey(key);
+}
+
+/**
+ * Decrypt all records and turn encryption off
+ * @throws Error if the passphrase is wrong or encryption is off
+ */
+export async function disableEncryption(passphrase: string): Promise<void> {
+  const config = await getEncryptionConfig();
+  if (!config) throw new Error("Encryption is not enabled");
+
+  const oldKey = await keyForPassphrase(passphrase, config);
+  if (!oldKey) throw new Error("Wrong passphrase");
+
+  await reencryptAll(oldKey, null, null);
+  applyKey(null);
+  rememberEncryption(false);
+}
+
+/**
+ * Set the inactivity timeout, or null to never auto-lock
+ */
+export function configureAutoLock(timeoutMs: number | null): void {
+  AUTO_LOCK_CONFIG.timeoutMs = timeoutMs;
+  scheduleAutoLock();
+}
+
+/**
+ * Restart the inactivity timer (call on user input)
+ */
+export function recordVaultActivity(): void {
+  if (activeKey) scheduleAutoLock();
+}
+
+function scheduleAutoLock(): void {
+  if (autoLockTimer) clearTimeout(autoLockTimer);
+  autoLockTimer = null;
+
+  if (activeKey && AUTO_LOCK_CONFIG.timeoutMs !== null) {
+    autoLockTimer = setTimeout(lockVault, AUTO_LOCK_CONFIG.timeoutMs);
+  }
+}
+
+/**
+ * Subscribe to locks (manual or automatic); returns an unsubscribe function
+ */
+export function onVaultLocked(listener: () => void): () => void {
+  lockListeners.add(listener);
+  return () => lockListeners.delete(listener);
+}
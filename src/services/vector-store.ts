@@ -3,16 +3,117 @@
  * Handles archiving old messages and retrieving relevant context
  */
 
-import { chunkText, TOKEN_LIMITS } from "../lib/token-utils";
+import { chunkText, estimateTokens, TOKEN_LIMITS } from "../lib/token-utils";
+import {
+  connectEmbeddingPort,
+  getActiveEmbeddingModel,
+  onEmbeddingModelChange,
+  preloadEmbedder,
+} from "./embeddings";
+import {
+  selectContext,
+  type ContextSelectionConfig,
+} from "../lib/context-selector";
 import type { ConversationMessage } from "./memory-store";
+import type {
+  ChunkFilter,
+  ChunkInput,
+  ChunkProvenance,
+  IndexCheckResult,
+  SearchFusion,
+  VectorPayload,
+  VectorRequestMessage,
+  VectorRequestType,
+  VectorResponseMessage,
+  VectorResult,
+  ReembedResult,
+  VectorStorageConfig,
+  VectorStoreStats,
+} from "../workers/vector-db.protocol";
 
 let worker: Worker | null = null;
-let workerReady = false;
-let pendingCallbacks: Map<
-  string,
-  { resolve: (data: any) => void; reject: (err: Error) => void; type: string }
-> = new Map();
+const pendingCalls = new Map<number, PendingCall>();
 let callId = 0;
+// Encrypts archived chunk text while the vault is unlocked
+let vectorKey: CryptoKey | null = null;
+
+const SEARCH_CONFIG = {
+  // Bypass the ANN index (exact scan of every chunk)
+  exact: false,
+  // Reciprocal rank fusion of vector and BM25 keyword rankings;
+  // a weight of 0 turns that ranking off
+  fusion: {
+    vectorWeight: 1,
+    lexicalWeight: 1,
+    rrfK: 60,
+    irrelevantFactor: 0.25,
+  } as SearchFusion,
+  // Results below this similarity need a keyword match to count as relevant
+  minVectorScore: 0.3,
+};
+
+const CONTEXT_CONFIG: Omit<ContextSelectionConfig, "maxTokens"> & {
+  candidates: number;
+} = {
+  // Search results the selector chooses from
+  candidates: 20,
+  mmrLambda: 0.7,
+  // Off by default: an old fragment is as useful as a recent one
+  recencyHalfLifeDays: 0,
+  maxOverlap: 0.6,
+};
+
+const STORAGE_CONFIG: VectorStorageConfig = {
+  // Follows the page's embedding model (configureEmbeddingModel)
+  model: getActiveEmbeddingModel().key,
+  // Matryoshka size of the stored vectors
+  dims: getActiveEmbeddingModel().dim,
+  // "int8" takes a quarter of the space at a small loss of precision
+  format: "float32",
+  // First search stage: int8 prefixes of this size
+  coarseDims: 256,
+  // Candidates from the first stage rescored with the stored vectors
+  rescoreCount: 200,
+};
+
+// A call fails if the worker sends nothing (result or progress) for this long
+const WORKER_TIMEOUT_MS = 60000;
+// Never timed out: archiving waits for the model download without
+// reporting progress, and a cancelled archive would lose messages that
+// were already evicted from the memory store
+const UNTIMED_CALLS = new Set<VectorRequestType>(["storeChunks"]);
+
+// Background re-embedding of stale chunks
+let reembedRun: Promise<void> | null = null;
+// Asked for again while running (e.g. unlocked, or another model chosen)
+let reembedAgain = false;
+let reembedProgress: { done: number; total: number } | null = null;
+
+interface PendingCall {
+  resolve: (result: any) => void;
+  reject: (err: Error) => void;
+  onProgress?: (done: number, total: number) => void;
+  // Inactivity timeout; none for UNTIMED_CALLS
+  timed: boolean;
+  timer?: ReturnType<typeof setTimeout>;
+}
+
+export interface ContextSearchResult extends ChunkProvenance {
+  id: string;
+  text: string;
+  createdAt: string;
+  // Fused rank score; vectorScore and lexicalScore explain it
+  score: number;
+  vectorScore: number;
+  lexicalScore: number;
+  embedding?: number[];
+}
+
+export interface WorkerCallOptions {
+  // Aborting rejects the call and tells the worker to stop the job
+  signal?: AbortSignal;
+  onProgress?: (done: number, total: number) => void;
+}
 
 /**
  * Get or create the vector DB worker
@@ -26,74 +127,113 @@ function getWorker(): Worker {
       },
     );
 
-    worker.onmessage = (e) => {
-      const { type, ...data } = e.data;
+    worker.onmessage = (e: MessageEvent<VectorResponseMessage>) => {
+      const message = e.data;
+      const call = pendingCalls.get(message.id);
+      if (!call) return; // cancelled or timed out already
 
-      if (type === "ready") {
-        workerReady = true;
+      if (message.type === "progress") {
+        restartTimer(message.id, call);
+        call.onProgress?.(message.done, message.total);
+        return;
       }
 
-      // Handle responses by matching type to pending calls
-      for (const [id, callback] of pendingCallbacks.entries()) {
-        // Match response type to request type
-        const expectedResponseType = getResponseType(callback.type);
-        if (
-          type === expectedResponseType ||
-          type === "error" ||
-          type.endsWith("Error")
-        ) {
-          pendingCallbacks.delete(id);
-          if (type === "error" || type.endsWith("Error")) {
-            callback.reject(new Error(data.error || "Unknown error"));
-          } else {
-            callback.resolve(data);
-          }
-          break;
-        }
+      clearTimeout(call.timer);
+      pendingCalls.delete(message.id);
+      if (message.type === "error") {
+        call.reject(new Error(message.error || "Unknown error"));
+      } else {
+        call.resolve(message.result);
       }
     };
 
     worker.onerror = (e) => {
       console.error("Vector worker error:", e);
     };
+
+    // Share the page's embedding model instead of loading another copy
+    const port = connectEmbeddingPort();
+    worker.postMessage(
+      { type: "connectEmbedder", port } satisfies VectorRequestMessage,
+      [port],
+    );
+    postStorageConfig(worker);
+    // Bring chunks of another model or prompt version up to date
+    scheduleReembedding();
   }
   return worker;
 }
 
 /**
- * Get expected response type for a request type
+ * Send the storage settings; they live in the worker, not per request
  */
-function getResponseType(requestType: string): string {
-  const responseMap: Record<string, string> = {
-    init: "ready",
-    storeChunks: "storeComplete",
-    search: "searchComplete",
-    getStats: "statsComplete",
-    clear: "clearComplete",
-  };
-  return responseMap[requestType] || `${requestType}Complete`;
+function postStorageConfig(target: Worker): void {
+  target.postMessage({
+    type: "configureStorage",
+    storage: { ...STORAGE_CONFIG },
+  } satisfies VectorRequestMessage);
+}
+
+/**
+ * (Re)arm a call's inactivity timeout
+ */
+function restartTimer(id: number, call: PendingCall): void {
+  if (!call.timed) return;
+  clearTimeout(call.timer);
+  call.timer = setTimeout(
+    () => cancelCall(id, new Error("Worker timeout")),
+    WORKER_TIMEOUT_MS,
+  );
 }
 
 /**
- * Send message to worker and wait for response
+ * Reject a pending call and tell the worker to stop working on it
  */
-function workerCall<T>(type: string, payload: any = {}): Promise<T> {
+function cancelCall(id: number, reason: Error): void {
+  const call = pendingCalls.get(id);
+  if (!call) return;
+
+  clearTimeout(call.timer);
+  pendingCalls.delete(id);
+  worker?.postMessage({ id, type: "cancel" } satisfies VectorRequestMessage);
+  call.reject(reason);
+}
+
+/**
+ * Send a request to the worker and wait for the response with its id
+ */
+function workerCall<T extends VectorRequestType>(
+  type: T,
+  payload: VectorPayload<T>,
+  options: WorkerCallOptions = {},
+): Promise<VectorResult<T>> {
   return new Promise((resolve, reject) => {
-    const id = String(++callId);
-    pendingCallbacks.set(id, { resolve, reject, type });
+    const { signal, onProgress } = options;
+    if (signal?.aborted) {
+      reject(new DOMException("Aborted", "AbortError"));
+      return;
+    }
 
-    getWorker().postMessage({
-      type,
-      ...payload,
-    });
+    const id = ++callId;
+    const onAbort = () =>
+      cancelCall(id, new DOMException("Aborted", "AbortError"));
+    const call: PendingCall = {
+      resolve: (result) => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(result);
+      },
+      reject: (err) => {
+        signal?.removeEventListener("abort", onAbort);
+        reject(err);
+      },
+      onProgress,
+      timed: !UNTIMED_CALLS.has(type),
+    };
+    pendingCalls.set(id, call);
+    restartTimer(id, call);
+    signal?.addEventListener("abort", onAbort, { once: true });
 
-    // Timeout after 60 seconds
-    setTimeout(() => {
-      if (pendingCallbacks.has(id)) {
-        pendingCallbacks.delete(id);
-        reject(new Error("Worker timeout"));
-      }
-    }, 60000);
+    getWorker().postMessage({ id, type, ...payload } as VectorRequestMessage);
   });
 }
 
@@ -101,97 +241,356 @@ function workerCall<T>(type: string, payload: any = {}): Promise<T> {
  * Preload the worker (call early)
  */
 export async function preloadVectorStore(): Promise<void> {
-  getWorker().postMessage({ type: "init" });
+  workerCall("init", {}).catch((e) =>
+    console.warn("Vector worker init failed:", e),
+  );
+}
+
+/**
+ * Override search settings at runtime (e.g. exact search for debugging,
+ * or fusion weights)
+ */
+export function configureVectorSearch(
+  config: Partial<Omit<typeof SEARCH_CONFIG, "fusion">> & {
+    fusion?: Partial<SearchFusion>;
+  },
+): void {
+  const { fusion, ...rest } = config;
+  Object.assign(SEARCH_CONFIG, rest);
+  if (fusion) Object.assign(SEARCH_CONFIG.fusion, fusion);
+}
+
+/**
+ * Override context selection settings (MMR trade-off, recency decay,
+ * duplicate threshold, number of candidates)
+ */
+export function configureContextSelection(
+  config: Partial<typeof CONTEXT_CONFIG>,
+): void {
+  Object.assign(CONTEXT_CONFIG, config);
+}
+
+/**
+ * Override how vectors are stored (size, float32/int8) and the two-stage
+ * search sizes. Chunks already archived keep their form.
+ */
+export function configureVectorStorage(
+  config: Partial<Omit<VectorStorageConfig, "model">>,
+): void {
+  const sizes = getActiveEmbeddingModel().matryoshkaDims;
+  for (const dims of [config.dims, config.coarseDims]) {
+    if (dims !== undefined && !sizes.includes(dims)) {
+      throw new Error(`Unsupported embedding size: ${dims}`);
+    }
+  }
+  Object.assign(STORAGE_CONFIG, config);
+  if (worker) postStorageConfig(worker);
+}
+
+// Store and search with the new model from now on, and bring the archive
+// over to it in the background
+onEmbeddingModelChange((model) => {
+  const sizes = model.matryoshkaDims;
+  STORAGE_CONFIG.model = model.key;
+  if (!sizes.includes(STORAGE_CONFIG.dims)) STORAGE_CONFIG.dims = model.dim;
+  if (!sizes.includes(STORAGE_CONFIG.coarseDims)) {
+    STORAGE_CONFIG.coarseDims = sizes[sizes.length - 1];
+  }
+  if (worker) postStorageConfig(worker);
+  scheduleReembedding();
+});
+
+/**
+ * Re-embed archived chunks stamped with another model or prompt version.
+ * Resumable: what was done stays done if the run is aborted.
+ */
+export async function reembedArchive(
+  options: WorkerCallOptions = {},
+): Promise<ReembedResult> {
+  return workerCall("reembed", { key: vectorKey }, options);
+}
+
+/**
+ * Start a background re-embedding run if any chunk is stale; one runs at
+ * a time, and a request during a run starts another after it
+ */
+function scheduleReembedding(): void {
+  if (reembedRun) {
+    reembedAgain = true;
+    return;
+  }
+
+  reembedRun = (async () => {
+    const { staleCount } = await getVectorStoreStats();
+    if (staleCount === 0) return;
+
+    // Wait out the model download here: the worker call times out when
+    // nothing arrives for WORKER_TIMEOUT_MS
+    await preloadEmbedder();
+    reembedProgress = { done: 0, total: staleCount };
+    await reembedArchive({
+      onProgress: (done, total) => {
+        reembedProgress = { done, total };
+      },
+    });
+  })()
+    .catch((e) => console.warn("Re-embedding failed:", e))
+    .finally(() => {
+      reembedRun = null;
+      reembedProgress = null;
+      if (reembedAgain) {
+        reembedAgain = false;
+        scheduleReembedding();
+      }
+    });
+}
+
+/**
+ * Progress of the background re-embedding, null when none is running
+ */
+export function getReembeddingProgress(): {
+  done: number;
+  total: number;
+} | null {
+  return reembedProgress;
+}
+
+/**
+ * Measure ANN index recall against exact search on a sample of chunks
+ */
+export async function checkVectorIndex(
+  sampleSize = 20,
+  k = 10,
+  onProgress?: (done: number, total: number) => void,
+): Promise<IndexCheckResult> {
+  return workerCall("checkIndex", { sampleSize, k }, { onProgress });
+}
+
+/**
+ * Set (unlock) or clear (lock) the key for archived chunk text
+ */
+export function setVectorKey(key: CryptoKey | null): void {
+  vectorKey = key;
+  // Encrypted chunks skipped while locked (e.g. by the run retention
+  // started at page load) can be re-embedded now
+  if (key) scheduleReembedding();
+}
+
+/**
+ * Split one session's messages into chunks of whole messages (a message
+ * longer than a chunk is split on its own), recording where each came from
+ */
+function chunkSessionMessages(
+  messages: ConversationMessage[],
+): (ChunkProvenance & { text: string })[] {
+  const chunks: (ChunkProvenance & { text: string })[] = [];
+  let group: ConversationMessage[] = [];
+  let groupTokens = 0;
+
+  const emit = (texts: string[], from: ConversationMessage[]) => {
+    const roles: ChunkProvenance["roles"] = {};
+    for (const m of from) roles[m.role] = (roles[m.role] ?? 0) + 1;
+    for (const text of texts) {
+      chunks.push({
+        text,
+        sessionId: from[0].sessionId,
+        messageIds: from.map((m) => m.id),
+        roles,
+        startedAt: from[0].createdAt,
+        endedAt: from[from.length - 1].createdAt,
+      });
+    }
+  };
+  const flush = () => {
+    if (group.length === 0) return;
+    emit([group.map((m) => `[${m.role}] ${m.content}`).join("\n\n")], group);
+    group = [];
+    groupTokens = 0;
+  };
+
+  for (const m of messages) {
+    const text = `[${m.role}] ${m.content}`;
+    const tokens = estimateTokens(text);
+    if (tokens > TOKEN_LIMITS.ARCHIVE_CHUNK_SIZE) {
+      flush();
+      emit(chunkText(text, TOKEN_LIMITS.ARCHIVE_CHUNK_SIZE), [m]);
+      continue;
+    }
+    if (groupTokens + tokens > TOKEN_LIMITS.ARCHIVE_CHUNK_SIZE) flush();
+    group.push(m);
+    groupTokens += tokens;
+  }
+  flush();
+  return chunks;
 }
 
 /**
  * Archive evicted messages to vector DB
+ * Messages are chunked per session so a chunk never mixes conversations;
+ * each chunk is dated by its newest message so retention counts from when
+ * it was said, not archived
+ * @returns the messages with a chunk that could not be stored
  */
 export async function archiveMessages(
   messages: ConversationMessage[],
-): Promise<void> {
-  if (messages.length === 0) return;
+  options: WorkerCallOptions = {},
+): Promise<ConversationMessage[]> {
+  if (messages.length === 0) return [];
 
-  // Combine messages into text chunks
-  const combinedText = messages
-    .map((m) => `[${m.role}] ${m.content}`)
-    .join("\n\n");
+  const bySession = new Map<string, ConversationMessage[]>();
+  for (const m of messages) {
+    bySession.set(m.sessionId, [...(bySession.get(m.sessionId) ?? []), m]);
+  }
 
-  const textChunks = chunkText(combinedText, TOKEN_LIMITS.ARCHIVE_CHUNK_SIZE);
+  const textChunks = [...bySession.values()].flatMap((sessionMessages) =>
+    chunkSessionMessages(
+      [...sessionMessages].sort((a, b) =>
+        a.createdAt.localeCompare(b.createdAt),
+      ),
+    ),
+  );
 
-  if (textChunks.length === 0) return;
+  if (textChunks.length === 0) return [];
 
   // Format chunks for worker
-  const chunks = textChunks.map((text, index) => ({
-    id: `conv_${Date.now()}_${index}`,
+  const batchId = Date.now();
+  const chunks: ChunkInput[] = textChunks.map((chunk, index) => ({
+    ...chunk,
+    id: `conv_${batchId}_${index}`,
     source: "conversation",
     chunkIndex: index,
-    text,
-    createdAt: new Date().toISOString(),
+    createdAt: chunk.endedAt,
   }));
 
-  await workerCall("storeChunks", { chunks });
+  const { results } = await workerCall(
+    "storeChunks",
+    { chunks, key: vectorKey },
+    options,
+  );
+  const failedIds = new Set(
+    chunks
+      .filter((_, index) => !results[index]?.success)
+      .flatMap((chunk) => chunk.messageIds ?? []),
+  );
+  return messages.filter((m) => failedIds.has(m.id));
 }
 
 /**
- * Search for relevant context from archived messages
+ * Search archived messages by meaning and by keywords (hybrid ranking)
+ * @param filter - Restrict to a session, source and/or time span
+ * @param withEmbeddings - Include each result's embedding
  */
 export async function searchContext(
   query: string,
-  topK: number = 5,
-): Promise<{ text: string; score: number }[]> {
-  const result = await workerCall<{ results: any[] }>("search", {
-    query,
-    topK,
-  });
+  {
+    topK = 5,
+    filter,
+    withEmbeddings = false,
+    signal,
+  }: {
+    topK?: number;
+    filter?: ChunkFilter;
+    withEmbeddings?: boolean;
+    signal?: AbortSignal;
+  } = {},
+): Promise<ContextSearchResult[]> {
+  const result = await workerCall(
+    "search",
+    {
+      query,
+      topK,
+      key: vectorKey,
+      exact: SEARCH_CONFIG.exact,
+      fusion: SEARCH_CONFIG.fusion,
+      filter,
+      withEmbeddings,
+    },
+    { signal },
+  );
 
   return result.results.map((r) => ({
+    id: r.id,
     text: r.text,
+    createdAt: r.createdAt,
     score: r.score,
+    vectorScore: r.vectorScore,
+    lexicalScore: r.lexicalScore,
+    sessionId: r.sessionId,
+    messageIds: r.messageIds,
+    roles: r.roles,
+    startedAt: r.startedAt,
+    endedAt: r.endedAt,
+    embedding: r.embedding,
   }));
 }
 
 /**
- * Get context string for LLM injection
+ * Get context string for LLM injection, with the chunks it was built from
+ * Fragments are chosen by selectContext (MMR, overlap trimming, token
+ * budget); see configureContextSelection
+ * @param sessionId - Conversation to retrieve from (all when omitted)
+ * @param crossSession - Also retrieve from every other conversation
+ * (and from chunks archived before their session was recorded)
  */
 export async function getRelevantContext(
   query: string,
-  maxTokens: number = TOKEN_LIMITS.MAX_RETRIEVED_CONTEXT,
-): Promise<string | undefined> {
-  const results = await searchContext(query, 10);
+  {
+    maxTokens = TOKEN_LIMITS.MAX_RETRIEVED_CONTEXT,
+    sessionId,
+    crossSession = false,
+    signal,
+  }: {
+    maxTokens?: number;
+    sessionId?: string;
+    crossSession?: boolean;
+    signal?: AbortSignal;
+  } = {},
+): Promise<{ context: string; sources: ContextSearchResult[] } | undefined> {
+  const results = await searchContext(query, {
+    topK: CONTEXT_CONFIG.candidates,
+    filter: crossSession ? undefined : { sessionId },
+    withEmbeddings: true,
+    signal,
+  });
 
   if (results.length === 0) return undefined;
 
-  // Filter by minimum relevance score
-  const relevant = results.filter((r) => r.score > 0.3);
+  // Keep semantically close chunks and any exact keyword match
+  // (names, medications, dates) even when its embedding is far off
+  const relevant = results.filter(
+    (r) => r.vectorScore > SEARCH_CONFIG.minVectorScore || r.lexicalScore > 0,
+  );
 
   if (relevant.length === 0) return undefined;
 
-  // Build context string within token limit
-  let context = "";
-  const charsPerToken = 3.5;
-  const maxChars = maxTokens * charsPerToken;
+  const selected = selectContext(
+    relevant.map((r) => ({ ...r, date: r.endedAt ?? r.createdAt })),
+    { ...CONTEXT_CONFIG, maxTokens },
+  );
+  if (selected.length === 0) return undefined;
 
-  for (const result of relevant) {
-    if (context.length + result.text.length > maxChars) break;
-    context += result.text + "\n\n---\n\n";
-  }
+  return {
+    context: selected.map((r) => r.text).join("\n\n---\n\n"),
+    sources: selected.map(({ embedding, date, ...source }) => source),
+  };
+}
 
-  return context.trim() || undefined;
+/**
+ * Mark archived chunks as irrelevant (or undo it); marked chunks rank
+ * lower in future searches
+ */
+export async function setChunksIrrelevant(
+  ids: string[],
+  irrelevant = true,
+): Promise<void> {
+  await workerCall("setIrrelevant", { ids, irrelevant });
 }
 
 /**
- * Get vector store statistics
+ * Get vector store statistics (stale chunks counted for the current key)
  */
-export async function getVectorStoreStats(): Promise<{
-  chunkCount: number;
-  totalTokens: number;
-}> {
-  const result = await workerCall<{ chunkCount: number; totalTokens: number }>(
-    "getStats",
-    {},
-  );
-  return result;
+export async function getVectorStoreStats(): Promise<VectorStoreStats> {
+  return workerCall("getStats", { key: vectorKey });
 }
 
 /**
@@ -200,3 +599,46 @@ export async function getVectorStoreStats(): Promise<{
 export async function clearVectorStore(): Promise<void> {
   await workerCall("clear", {});
 }
+
+/**
+ * Delete archived chunks created before the cutoff (ISO timestamp)
+ * @returns number of deleted chunks
+ */
+export async function expireChunks(before: string): Promise<number> {
+  const result = await workerCall("expire", { before });
+  return result.count;
+}
+
+/**
+ * Delete the archived chunks of a conversation
+ * @returns number of deleted chunks
+ */
+export async function deleteSessionChunks(sessionId: string): Promise<number> {
+  const result = await workerCall("deleteSession", { sessionId });
+  return result.count;
+}
+
+/**
+ * Re-encrypt archived chunk text from oldKey to newKey (null = plaintext)
+ */
+export async function reencryptVectors(
+  oldKey: CryptoKey | null,
+  newKey: CryptoKey | null,
+): Promise<void> {
+  await workerCall("reencrypt", { oldKey, newKey });
+  vectorKey = newKey;
+}
+
+/**
+ * Delete the vector database and stop the worker; a later call starts a
+ * fresh worker with an empty database
+ */
+export async function deleteVectorDatabase(): Promise<void> {
+  await workerCall("destroy", {});
+  worker?.terminate();
+  worker = null;
+  for (const id of pendingCalls.keys()) {
+    cancelCall(id, new Error("Worker terminated"));
+  }
+  vectorKey = null;
+}
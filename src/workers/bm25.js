@@ -0,0 +1,108 @@
+/**
+ * BM25 - inverted index for lexical (keyword) ranking of chunks
+ * Catches exact names, medication names and dates that embedding
+ * similarity misses. Documents are added as pre-tokenized term lists
+ * (see tokenizePolish); the index lives in memory only.
+ */
+
+export class Bm25Index {
+  /**
+   * @param {{ k1?: number, b?: number }} options
+   */
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    // id -> { length, terms: Map<term, frequency> }
+    this.docs = new Map();
+    // term -> Set of ids containing it
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  has(id) {
+    return this.docs.has(id);
+  }
+
+  /**
+   * Add (or replace) a document
+   * @param {string} id
+   * @param {string[]} tokens
+   */
+  add(id, tokens) {
+    if (this.docs.has(id)) this.remove([id]);
+
+    const terms = new Map();
+    for (const token of tokens) terms.set(token, (terms.get(token) ?? 0) + 1);
+    this.docs.set(id, { length: tokens.length, terms });
+    this.totalLength += tokens.length;
+
+    for (const term of terms.keys()) {
+      let ids = this.postings.get(term);
+      if (!ids) {
+        ids = new Set();
+        this.postings.set(term, ids);
+      }
+      ids.add(id);
+    }
+  }
+
+  remove(ids) {
+    for (const id of ids) {
+      const doc = this.docs.get(id);
+      if (!doc) continue;
+      this.docs.delete(id);
+      this.totalLength -= doc.length;
+
+      for (const term of doc.terms.keys()) {
+        const postings = this.postings.get(term);
+        postings.delete(id);
+        if (postings.size === 0) this.postings.delete(term);
+      }
+    }
+  }
+
+  /**
+   * Inverse document frequency (Lucene variant, never negative)
+   */
+  idf(term) {
+    const n = this.postings.get(term)?.size ?? 0;
+    return Math.log(1 + (this.docs.size - n + 0.5) / (n + 0.5));
+  }
+
+  /**
+   * Top k documents for the query terms
+   * @param {string[]} tokens
+   * @param {((id: string) => boolean) | null} include - Restrict to matching ids
+   * @returns {{ id: string, score: number }[]} best first, score > 0
+   */
+  search(tokens, k, include = null) {
+    if (this.docs.size === 0) return [];
+
+    const avgLength = this.totalLength / this.docs.size || 1;
+    const scores = new Map();
+
+    for (const term of new Set(tokens)) {
+      const ids = this.postings.get(term);
+      if (!ids) continue;
+
+      const idf = this.idf(term);
+      for (const id of ids) {
+        if (include && !include(id)) continue;
+        const doc = this.docs.get(id);
+        const tf = doc.terms.get(term);
+        const norm = this.k1 * (1 - this.b + (this.b * doc.length) / avgLength);
+        const score = (idf * tf * (this.k1 + 1)) / (tf + norm);
+        scores.set(id, (scores.get(id) ?? 0) + score);
+      }
+    }
+
+    return [...scores]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+}
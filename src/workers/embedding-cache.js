@@ -0,0 +1,245 @@
+/**
+ * Embedding Cache - embeddings by content hash, so repeated queries and
+ * re-archived text are not embedded again
+ * An in-memory LRU in front of an IndexedDB store (least recently used
+ * entries are dropped from both). Keys hash the model, its prompt version,
+ * the task and the text: no text is stored, and an entry never serves
+ * another model or task. A hash still confirms a guessed text, so only
+ * entries the caller asks to persist (unencrypted archive text) reach
+ * IndexedDB; the rest live in memory until the worker ends.
+ */
+
+import { EMBEDDING_CACHE_DB_NAME } from "../lib/database-names";
+
+const IDB_DB_NAME = EMBEDDING_CACHE_DB_NAME;
+const IDB_STORE = "embeddings";
+
+/**
+ * Cache key for a text embedded by model for task (SHA-256, hex)
+ * @param {import("../lib/embedding-models").EmbeddingModel} model
+ * @param {import("../lib/embedding-models").EmbeddingTask} task
+ */
+export async function cacheKey(model, task, text) {
+  const data = new TextEncoder().encode(
+    [model.key, model.promptVersion, task, text].join("\u0000"),
+  );
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", data));
+  return Array.from(digest, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export class EmbeddingCache {
+  /**
+   * @param {{ memoryEntries?: number, storedEntries?: number }} options
+   */
+  constructor({ memoryEntries = 512, storedEntries = 5000 } = {}) {
+    this.memoryEntries = memoryEntries;
+    this.storedEntries = storedEntries;
+    // key -> Float32Array, least recently used first
+    this.memory = new Map();
+    this.idbPromise = null;
+    this.counters = { memoryHits: 0, storedHits: 0, misses: 0 };
+  }
+
+  /**
+   * Open IndexedDB; resolves to null where it is unavailable, leaving a
+   * memory-only cache
+   */
+  openIdb() {
+    if (!self.indexedDB) return Promise.resolve(null);
+    if (this.idbPromise) return this.idbPromise;
+
+    this.idbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(IDB_DB_NAME, 2);
+      request.onupgradeneeded = (event) => {
+        // v1 persisted every task's embeddings, queries included
+        if (event.oldVersion === 1) {
+          request.result.deleteObjectStore(IDB_STORE);
+        }
+        const store = request.result.createObjectStore(IDB_STORE, {
+          keyPath: "key",
+        });
+        store.createIndex("byUsedAt", "usedAt", { unique: false });
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a deletion from another context proceed
+        db.onversionchange = () => this.closeIdb();
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      console.warn("Embedding cache storage unavailable:", error);
+      return null;
+    });
+    return this.idbPromise;
+  }
+
+  async closeIdb() {
+    const idbPromise = this.idbPromise;
+    this.idbPromise = null;
+    (await idbPromise)?.close();
+  }
+
+  /**
+   * Add to the in-memory LRU, evicting the least recently used entry
+   */
+  remember(key, embedding) {
+    this.memory.delete(key);
+    this.memory.set(key, embedding);
+    if (this.memory.size > this.memoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  /**
+   * Look up keys, memory first; stored hits are marked as used
+   * @param {string[]} keys
+   * @returns {Promise<Map<string, Float32Array>>} hits only
+   */
+  async getMany(keys) {
+    const found = new Map();
+    const missing = [];
+    for (const key of new Set(keys)) {
+      const embedding = this.memory.get(key);
+      if (embedding) {
+        this.remember(key, embedding);
+        found.set(key, embedding);
+        this.counters.memoryHits++;
+      } else {
+        missing.push(key);
+      }
+    }
+
+    const stored = await this.readStored(missing).catch((error) => {
+      console.warn("Embedding cache read failed:", error);
+      return new Map();
+    });
+    for (const key of missing) {
+      const embedding = stored.get(key);
+      if (embedding) {
+        this.remember(key, embedding);
+        found.set(key, embedding);
+        this.counters.storedHits++;
+      } else {
+        this.counters.misses++;
+      }
+    }
+    return found;
+  }
+
+  async readStored(keys) {
+    const db = keys.length > 0 ? await this.openIdb() : null;
+    if (!db) return new Map();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(IDB_STORE, "readwrite");
+      const store = tx.objectStore(IDB_STORE);
+      const usedAt = Date.now();
+      const found = new Map();
+      for (const key of keys) {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          if (!request.result) return;
+          found.set(key, request.result.embedding);
+          store.put({ ...request.result, usedAt });
+        };
+      }
+      tx.oncomplete = () => resolve(found);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Add entries to memory, and to storage when persist is set
+   * @param {[string, Float32Array][]} entries
+   * @param {boolean} persist
+   */
+  async putMany(entries, persist) {
+    for (const [key, embedding] of entries) this.remember(key, embedding);
+
+    try {
+      const db = persist && entries.length > 0 ? await this.openIdb() : null;
+      if (!db) return;
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction(IDB_STORE, "readwrite");
+        const store = tx.objectStore(IDB_STORE);
+        const usedAt = Date.now();
+        for (const [key, embedding] of entries) {
+          store.put({ key, embedding, usedAt });
+        }
+        this.trim(store);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+    } catch (error) {
+      console.warn("Embedding cache write failed:", error);
+    }
+  }
+
+  /**
+   * Delete the least recently used stored entries over the limit
+   */
+  trim(store) {
+    const count = store.count();
+    count.onsuccess = () => {
+      let excess = count.result - this.storedEntries;
+      if (excess <= 0) return;
+      store.index("byUsedAt").openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || excess-- <= 0) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    };
+  }
+
+  /**
+   * Delete stored entries last used before the cutoff (epoch ms)
+   * @returns {Promise<number>} number of deleted entries
+   */
+  async expire(before) {
+    const db = await this.openIdb();
+    if (!db) return 0;
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(IDB_STORE, "readwrite");
+      const index = tx.objectStore(IDB_STORE).index("byUsedAt");
+      const request = index.openCursor(IDBKeyRange.upperBound(before, true));
+      let count = 0;
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        count++;
+        cursor.delete();
+        cursor.continue();
+      };
+      tx.oncomplete = () => resolve(count);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Hit counters since the worker started
+   * @returns {import("./embedding.protocol").EmbeddingCacheStats}
+   */
+  stats() {
+    return { ...this.counters, memoryEntries: this.memory.size };
+  }
+
+  /**
+   * Forget everything and delete the stored cache
+   */
+  async destroy() {
+    this.memory.clear();
+    this.counters = { memoryHits: 0, storedHits: 0, misses: 0 };
+    await this.closeIdb();
+    if (!self.indexedDB) return;
+
+    await new Promise((resolve, reject) => {
+      const request = indexedDB.deleteDatabase(IDB_DB_NAME);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn("Embedding cache delete blocked");
+    });
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Embedding Client - request/response correlation for the embedding
+ * worker, over the Worker itself (page) or a connected MessagePort
+ * (other workers)
+ */
+
+import type {
+  EmbeddingCacheStats,
+  EmbeddingDevice,
+  EmbeddingPayload,
+  EmbeddingRequestMessage,
+  EmbeddingRequestType,
+  EmbeddingResponseMessage,
+  EmbeddingResult,
+} from "./embedding.protocol";
+
+/**
+ * What the client needs from a Worker or MessagePort
+ */
+export interface EmbeddingChannel {
+  postMessage(message: EmbeddingRequestMessage): void;
+  onmessage: ((event: MessageEvent) => unknown) | null;
+}
+
+export interface EmbedOptions {
+  // Aborting rejects the call and tells the worker to skip the job
+  signal?: AbortSignal;
+  onProgress?: (done: number, total: number) => void;
+}
+
+export interface EmbeddingClient {
+  init(model: string): Promise<EmbeddingDevice>;
+  embed(
+    request: EmbeddingPayload<"embed">,
+    options?: EmbedOptions,
+  ): Promise<Float32Array[]>;
+  cacheStats(): Promise<EmbeddingCacheStats>;
+  expire(before: string): Promise<number>;
+  destroy(): Promise<void>;
+}
+
+interface PendingCall {
+  resolve: (result: any) => void;
+  reject: (err: Error) => void;
+  onProgress?: (done: number, total: number) => void;
+}
+
+/**
+ * Wrap a channel to the embedding worker. No timeout: the first call
+ * waits for the model download.
+ */
+export function createEmbeddingClient(
+  channel: EmbeddingChannel,
+): EmbeddingClient {
+  const pendingCalls = new Map<number, PendingCall>();
+  let callId = 0;
+
+  channel.onmessage = (e: MessageEvent<EmbeddingResponseMessage>) => {
+    const message = e.data;
+    const call = pendingCalls.get(message.id);
+    if (!call) return; // cancelled already
+
+    if (message.type === "progress") {
+      call.onProgress?.(message.done, message.total);
+      return;
+    }
+
+    pendingCalls.delete(message.id);
+    if (message.type === "error") {
+      call.reject(new Error(message.error || "Unknown error"));
+    } else {
+      call.resolve(message.result);
+    }
+  };
+
+  function call<T extends EmbeddingRequestType>(
+    type: T,
+    payload: EmbeddingPayload<T>,
+    { signal, onProgress }: EmbedOptions = {},
+  ): Promise<EmbeddingResult<T>> {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException("Aborted", "AbortError"));
+        return;
+      }
+
+      const id = ++callId;
+      const onAbort = () => {
+        if (!pendingCalls.delete(id)) return;
+        channel.postMessage({ id, type: "cancel" });
+        reject(new DOMException("Aborted", "AbortError"));
+      };
+      pendingCalls.set(id, {
+        resolve: (result) => {
+          signal?.removeEventListener("abort", onAbort);
+          resolve(result);
+        },
+        reject: (err) => {
+          signal?.removeEventListener("abort", onAbort);
+          reject(err);
+        },
+        onProgress,
+      });
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      channel.postMessage({ id, type, ...payload } as EmbeddingRequestMessage);
+    });
+  }
+
+  return {
+    async init(model) {
+      return (await call("init", { model })).device;
+    },
+    async embed(request, options) {
+      if (request.texts.length === 0) return [];
+      return (await call("embed", request, options)).embeddings;
+    },
+    cacheStats() {
+      return call("cacheStats", {});
+    },
+    async expire(before) {
+      return (await call("expire", { before })).count;
+    },
+    async destroy() {
+      await call("destroy", {});
+    },
+  };
+}
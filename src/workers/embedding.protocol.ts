@@ -0,0 +1,86 @@
+/**
+ * Embedding Worker protocol - typed request/response contracts
+ * Same id/cancel/progress scheme as vector-db.protocol.ts. Besides the
+ * page, other workers talk to it over a MessagePort handed over with a
+ * "connect" message.
+ */
+
+import type { EmbeddingTask } from "../lib/embedding-models";
+
+export type EmbeddingDevice = "webgpu" | "wasm";
+
+/**
+ * Embedding cache counters since the worker started; a text counts once
+ * per request
+ */
+export interface EmbeddingCacheStats {
+  memoryHits: number;
+  // Found in IndexedDB (e.g. from an earlier visit)
+  storedHits: number;
+  misses: number;
+  memoryEntries: number;
+}
+
+/**
+ * Payload and result of each request type
+ */
+export interface EmbeddingRequests {
+  // Load the model (if not loaded yet) and report the device it runs on
+  init: { payload: { model: string }; result: { device: EmbeddingDevice } };
+  // Normalized, mean-pooled embeddings in input order, each text wrapped
+  // in the model's prompt for the task. model is a registry key
+  // (embedding-models.ts); switching models unloads the previous one.
+  // persist also keeps new results in the IndexedDB cache (default: memory
+  // only); meant for text that is itself stored unencrypted.
+  embed: {
+    payload: {
+      texts: string[];
+      task: EmbeddingTask;
+      model: string;
+      persist?: boolean;
+    };
+    result: { embeddings: Float32Array[] };
+  };
+  cacheStats: { payload: {}; result: EmbeddingCacheStats };
+  // Delete persisted cache entries last used before the cutoff (ISO
+  // timestamp), for retention
+  expire: { payload: { before: string }; result: { count: number } };
+  // Delete the persisted embedding cache
+  destroy: { payload: {}; result: {} };
+}
+
+export type EmbeddingRequestType = keyof EmbeddingRequests;
+
+export type EmbeddingPayload<T extends EmbeddingRequestType> =
+  EmbeddingRequests[T]["payload"];
+
+export type EmbeddingResult<T extends EmbeddingRequestType> =
+  EmbeddingRequests[T]["result"];
+
+/**
+ * Client -> worker
+ */
+export type EmbeddingRequestMessage =
+  | {
+      [T in EmbeddingRequestType]: {
+        id: number;
+        type: T;
+      } & EmbeddingPayload<T>;
+    }[EmbeddingRequestType]
+  | { id: number; type: "cancel" };
+
+/**
+ * Page -> worker: serve requests arriving on this port too
+ */
+export interface EmbeddingConnectMessage {
+  type: "connect";
+  port: MessagePort;
+}
+
+/**
+ * Worker -> client
+ */
+export type EmbeddingResponseMessage =
+  | { id: number; type: "result"; result: unknown }
+  | { id: number; type: "error"; error: string; cancelled?: boolean }
+  | { id: number; type: "progress"; done: number; total: number };
@@ -0,0 +1,268 @@
+/**
+ * Embedding Worker - the one embedding pipeline of the page
+ * Picks the device once (WebGPU when usable, else single-threaded WASM)
+ * and serves the page and, over MessagePorts, other workers. Requests run
+ * one at a time, so concurrent callers never race the ONNX session.
+ * Each request names its model (a key of lib/embedding-models.ts); one
+ * model is loaded at a time. Texts are wrapped in the model's prompt for
+ * the requested task before embedding. Results are cached by content
+ * hash (embedding-cache.js), so every caller shares one cache; only
+ * requests marked persist are cached across visits.
+ * Request/response contracts are in embedding.protocol.ts
+ */
+
+import { pipeline, env } from "@huggingface/transformers";
+import { applyTaskPrompt, getEmbeddingModel } from "../lib/embedding-models";
+import { EmbeddingCache, cacheKey } from "./embedding-cache";
+
+// Configure Transformers.js
+env.allowLocalModels = false;
+env.useBrowserCache = true;
+env.backends.onnx.wasm.numThreads = 1;
+env.backends.onnx.wasm.proxy = false;
+env.remoteHost = `${self.location.origin}/hf`;
+env.remotePath = "";
+
+// Texts per inference call; WASM gains nothing from batching
+const WEBGPU_BATCH_SIZE = 8;
+
+let devicePromise = null;
+// { key, promise } of the loaded model's pipeline
+let loaded = null;
+// Tail of the request queue
+let queue = Promise.resolve();
+const cache = new EmbeddingCache();
+
+/**
+ * Whether WebGPU is available and the device has memory to spare
+ */
+async function checkWebGPU() {
+  if (!navigator.gpu) return false;
+
+  try {
+    const adapter = await navigator.gpu.requestAdapter();
+    if (!adapter) return false;
+
+    const deviceMemory = navigator.deviceMemory;
+    if (deviceMemory && deviceMemory < 4) {
+      console.log("[Embeddings] Low device memory, using WASM");
+      return false;
+    }
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Device the model runs on, decided once per page
+ * @returns {Promise<import("./embedding.protocol").EmbeddingDevice>}
+ */
+function getDevice() {
+  if (!devicePromise) {
+    devicePromise = checkWebGPU().then((webgpu) =>
+      webgpu ? "webgpu" : "wasm",
+    );
+  }
+  return devicePromise;
+}
+
+/**
+ * Get the pipeline for a model, unloading the previous model. The dtype
+ * comes from the registry and is the same on both devices, so vectors
+ * computed on either match the ones already archived.
+ * Only called from queued jobs, so no other job uses the old pipeline.
+ */
+function getEmbedder(model) {
+  if (loaded?.key !== model.key) {
+    loaded?.promise.then((embedder) => embedder.dispose()).catch(() => {});
+
+    const entry = { key: model.key };
+    entry.promise = getDevice()
+      .then((device) => {
+        console.log(`[Embeddings] Loading ${model.key} with ${device}...`);
+        return pipeline("feature-extraction", model.id, {
+          dtype: model.dtype,
+          device,
+        });
+      })
+      .catch((error) => {
+        if (loaded === entry) loaded = null; // retry on the next call
+        throw error;
+      });
+    loaded = entry;
+  }
+  return loaded.promise;
+}
+
+/**
+ * Embed texts in batches, checking for cancellation between batches.
+ * Cached texts are not embedded again; the model is not even loaded when
+ * all of them are cached.
+ */
+async function handleEmbed({ texts, task, model: key, persist = false }, job) {
+  const model = getEmbeddingModel(key);
+  if (!model.prompts[task]) throw new Error(`Unknown embedding task: ${task}`);
+
+  const keys = await Promise.all(
+    texts.map((text) => cacheKey(model, task, text)),
+  );
+  const found = await cache.getMany(keys);
+  // Each uncached text once, even if repeated in the request
+  const missing = [...new Map(texts.map((text, i) => [keys[i], text]))]
+    .filter(([k]) => !found.has(k))
+    .map(([k, text]) => ({ key: k, text }));
+  const cachedCount = texts.length - missing.length;
+  if (missing.length > 0) job.progress(cachedCount, texts.length);
+
+  const embedder = missing.length > 0 ? await getEmbedder(model) : null;
+  const batchSize = (await getDevice()) === "webgpu" ? WEBGPU_BATCH_SIZE : 1;
+
+  for (let i = 0; i < missing.length; i += batchSize) {
+    job.throwIfCancelled();
+    const batch = missing.slice(i, i + batchSize);
+    const output = await embedder(
+      batch.map(({ text }) => applyTaskPrompt(model, task, text)),
+      { pooling: "mean", normalize: true },
+    );
+    const data = output.data;
+    const computed = batch.map(({ key: k }, j) => [
+      k,
+      data.slice(j * model.dim, (j + 1) * model.dim),
+    ]);
+    for (const [k, embedding] of computed) found.set(k, embedding);
+    await cache.putMany(computed, persist);
+    job.progress(cachedCount + i + batch.length, texts.length);
+  }
+
+  // Copies: the buffers are transferred, and the cache keeps its own
+  const embeddings = keys.map((k) => found.get(k).slice());
+  return {
+    result: { embeddings },
+    transfer: embeddings.map((embedding) => embedding.buffer),
+  };
+}
+
+/**
+ * Cache hit counters, for the stats panel
+ */
+async function handleCacheStats() {
+  return { result: cache.stats() };
+}
+
+/**
+ * Delete stored entries not used since the retention cutoff
+ */
+async function handleExpire({ before }) {
+  return { result: { count: await cache.expire(Date.parse(before)) } };
+}
+
+/**
+ * Delete the cache with everything in it (data wipe)
+ */
+async function handleDestroy() {
+  await cache.destroy();
+  return { result: {} };
+}
+
+/**
+ * Load the model ahead of the first request
+ */
+async function handleInit({ model }) {
+  await getEmbedder(getEmbeddingModel(model));
+  return { result: { device: await getDevice() } };
+}
+
+const HANDLERS = {
+  init: handleInit,
+  embed: handleEmbed,
+  cacheStats: handleCacheStats,
+  expire: handleExpire,
+  destroy: handleDestroy,
+};
+
+// Answered at once instead of waiting behind embedding jobs
+const UNQUEUED = new Set(["cacheStats", "expire"]);
+
+class CancelledError extends Error {
+  constructor() {
+    super("Cancelled");
+    this.name = "CancelledError";
+  }
+}
+
+/**
+ * Serve requests from one client (the page or a connected port)
+ * @param {{ postMessage: (message: unknown, transfer?: Transferable[]) => void }} client
+ */
+function createConnection(client) {
+  // Running and queued jobs by request id, so a "cancel" can flag them
+  const jobs = new Map();
+
+  /**
+   * @param {import("./embedding.protocol").EmbeddingResponseMessage} message
+   */
+  const post = (message, transfer = []) =>
+    client.postMessage(message, transfer);
+
+  return (event) => {
+    const { id, type, ...payload } = event.data;
+
+    if (type === "cancel") {
+      const job = jobs.get(id);
+      if (job) job.cancelled = true;
+      return;
+    }
+
+    const handler = HANDLERS[type];
+    if (!handler) {
+      post({ id, type: "error", error: `Unknown request type: ${type}` });
+      return;
+    }
+
+    const job = {
+      cancelled: false,
+      throwIfCancelled() {
+        if (job.cancelled) throw new CancelledError();
+      },
+      progress(done, total) {
+        post({ id, type: "progress", done, total });
+      },
+    };
+    jobs.set(id, job);
+
+    const run = async () => {
+      try {
+        job.throwIfCancelled();
+        const { result, transfer } = await handler(payload, job);
+        post({ id, type: "result", result }, transfer);
+      } catch (error) {
+        const cancelled = error instanceof CancelledError;
+        if (!cancelled) console.error(`Embedding ${type} failed:`, error);
+        post({ id, type: "error", error: error.message, cancelled });
+      } finally {
+        jobs.delete(id);
+      }
+    };
+
+    if (UNQUEUED.has(type)) run();
+    else queue = queue.then(run);
+  };
+}
+
+const handlePageMessage = createConnection(self);
+
+/**
+ * Handle incoming messages; a "connect" adds another client's port
+ * @param {MessageEvent<import("./embedding.protocol").EmbeddingRequestMessage | import("./embedding.protocol").EmbeddingConnectMessage>} event
+ */
+self.onmessage = (event) => {
+  if (event.data.type === "connect") {
+    const { port } = event.data;
+    port.onmessage = createConnection(port);
+    return;
+  }
+  handlePageMessage(event);
+};
+
+// The model is loaded on the first init/embed request
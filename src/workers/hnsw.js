@@ -0,0 +1,349 @@
+/**
+ * HNSW - Hierarchical Navigable Small World graph for approximate
+ * nearest-neighbour search over embeddings (Malkov & Yashunin, 2016)
+ * Vectors are stored normalized, so distance is 1 - dot product
+ * (cosine distance). Only the graph is serialized; vectors are supplied
+ * again on load from the chunks store.
+ */
+
+export const HNSW_FORMAT_VERSION = 1;
+
+/**
+ * Binary heap ordered by compare (smallest first)
+ */
+class Heap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (
+          left < items.length &&
+          this.compare(items[left], items[smallest]) < 0
+        ) {
+          smallest = left;
+        }
+        if (
+          right < items.length &&
+          this.compare(items[right], items[smallest]) < 0
+        ) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Unit-length Float32Array copy of a vector
+ */
+export function normalizeVector(vector) {
+  const result = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < result.length; i++) norm += result[i] * result[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < result.length; i++) result[i] /= norm;
+  }
+  return result;
+}
+
+function dot(a, b) {
+  if (a.length !== b.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+export class HnswIndex {
+  /**
+   * @param {{ M?: number, efConstruction?: number }} options
+   */
+  constructor({ M = 16, efConstruction = 100 } = {}) {
+    this.M = M;
+    this.efConstruction = efConstruction;
+    this.levelMultiplier = 1 / Math.log(M);
+    // id -> { vector, level, neighbors: id[][] (one list per level) }
+    this.nodes = new Map();
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+
+  get size() {
+    return this.nodes.size;
+  }
+
+  has(id) {
+    return this.nodes.has(id);
+  }
+
+  /**
+   * Most links a node keeps on a level (the base layer is denser)
+   */
+  maxLinks(level) {
+    return level === 0 ? this.M * 2 : this.M;
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(1 - Math.random()) * this.levelMultiplier);
+  }
+
+  distance(query, id) {
+    return 1 - dot(query, this.nodes.get(id).vector);
+  }
+
+  /**
+   * Best-first search of one layer
+   * @returns {{ id: string, dist: number }[]} up to ef closest, nearest first
+   */
+  searchLayer(query, entryIds, ef, level) {
+    const visited = new Set(entryIds);
+    const candidates = new Heap((a, b) => a.dist - b.dist);
+    const results = new Heap((a, b) => b.dist - a.dist); // farthest on top
+
+    for (const id of entryIds) {
+      const item = { id, dist: this.distance(query, id) };
+      candidates.push(item);
+      results.push(item);
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.dist > results.peek().dist) break;
+
+      const neighbors = this.nodes.get(current.id).neighbors[level] ?? [];
+      for (const neighborId of neighbors) {
+        if (visited.has(neighborId) || !this.nodes.has(neighborId)) continue;
+        visited.add(neighborId);
+
+        const dist = this.distance(query, neighborId);
+        if (results.size < ef || dist < results.peek().dist) {
+          candidates.push({ id: neighborId, dist });
+          results.push({ id: neighborId, dist });
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => a.dist - b.dist);
+  }
+
+  /**
+   * Greedy descent from the entry point to the given level
+   */
+  descend(query, toLevel) {
+    let entry = [this.entryPoint];
+    for (let level = this.maxLevel; level > toLevel; level--) {
+      entry = [this.searchLayer(query, entry, 1, level)[0].id];
+    }
+    return entry;
+  }
+
+  /**
+   * Keep only the closest maxLinks(level) links of a node
+   */
+  pruneLinks(id, level) {
+    const node = this.nodes.get(id);
+    const links = node.neighbors[level];
+    if (links.length <= this.maxLinks(level)) return;
+
+    node.neighbors[level] = links
+      .filter((linkId) => this.nodes.has(linkId))
+      .map((linkId) => ({
+        id: linkId,
+        dist: this.distance(node.vector, linkId),
+      }))
+      .sort((a, b) => a.dist - b.dist)
+      .slice(0, this.maxLinks(level))
+      .map((item) => item.id);
+  }
+
+  /**
+   * Add (or replace) a vector
+   */
+  insert(id, vector) {
+    if (this.nodes.has(id)) this.remove([id]);
+
+    const level = this.randomLevel();
+    const node = {
+      vector: normalizeVector(vector),
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => []),
+    };
+    this.nodes.set(id, node);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entry = this.descend(node.vector, level);
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const found = this.searchLayer(
+        node.vector,
+        entry,
+        this.efConstruction,
+        l,
+      );
+      node.neighbors[l] = found.slice(0, this.maxLinks(l)).map((f) => f.id);
+
+      for (const neighborId of node.neighbors[l]) {
+        this.nodes.get(neighborId).neighbors[l].push(id);
+        this.pruneLinks(neighborId, l);
+      }
+      entry = found.map((f) => f.id);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = id;
+    }
+  }
+
+  /**
+   * Remove vectors, reconnecting their former neighbours to each other
+   * so the graph stays navigable
+   */
+  remove(ids) {
+    const removed = new Map();
+    for (const id of ids) {
+      const node = this.nodes.get(id);
+      if (!node) continue;
+      removed.set(id, node);
+      this.nodes.delete(id);
+    }
+    if (removed.size === 0) return;
+
+    for (const [id, node] of this.nodes) {
+      node.neighbors.forEach((links, level) => {
+        if (!links.some((linkId) => removed.has(linkId))) return;
+
+        // Inherit the removed neighbours' links as replacement candidates
+        const replacements = links
+          .filter((linkId) => removed.has(linkId))
+          .flatMap((linkId) => removed.get(linkId).neighbors[level] ?? []);
+        node.neighbors[level] = [
+          ...new Set([...links, ...replacements]),
+        ].filter(
+          (linkId) =>
+            linkId !== id && !removed.has(linkId) && this.nodes.has(linkId),
+        );
+        this.pruneLinks(id, level);
+      });
+    }
+
+    if (removed.has(this.entryPoint)) {
+      this.entryPoint = null;
+      this.maxLevel = -1;
+      for (const [id, node] of this.nodes) {
+        if (node.level > this.maxLevel) {
+          this.entryPoint = id;
+          this.maxLevel = node.level;
+        }
+      }
+    }
+  }
+
+  /**
+   * Approximate k nearest neighbours
+   * @returns {{ id: string, score: number }[]} cosine similarity, best first
+   */
+  search(vector, k, ef = 64) {
+    if (this.entryPoint === null) return [];
+
+    const query = normalizeVector(vector);
+    const entry = this.descend(query, 0);
+    return this.searchLayer(query, entry, Math.max(ef, k), 0)
+      .slice(0, k)
+      .map((item) => ({ id: item.id, score: 1 - item.dist }));
+  }
+
+  /**
+   * Graph without the vectors, for persistence
+   */
+  toJSON() {
+    return {
+      version: HNSW_FORMAT_VERSION,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      nodes: [...this.nodes].map(([id, node]) => [
+        id,
+        node.level,
+        node.neighbors,
+      ]),
+    };
+  }
+
+  /**
+   * Restore a graph; nodes without a vector are dropped
+   * @param {Map<string, ArrayLike<number>>} vectors
+   */
+  static fromJSON(data, vectors) {
+    const index = new HnswIndex(data);
+    for (const [id, level, neighbors] of data.nodes) {
+      const vector = vectors.get(id);
+      if (!vector) continue;
+      index.nodes.set(id, {
+        vector: normalizeVector(vector),
+        level,
+        neighbors,
+      });
+    }
+    index.entryPoint = data.entryPoint;
+    index.maxLevel = data.maxLevel;
+
+    const missing = data.nodes
+      .map(([id]) => id)
+      .filter((id) => !index.nodes.has(id));
+    if (missing.length > 0) {
+      // Fix links and the entry point as if the nodes had been removed
+      for (const id of missing) {
+        index.nodes.set(id, {
+          vector: new Float32Array(),
+          level: 0,
+          neighbors: [],
+        });
+      }
+      index.remove(missing);
+    }
+    return index;
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Vector codec - how embeddings are kept in the chunks store
+ * EmbeddingGemma is Matryoshka-trained: a renormalized prefix (512, 256
+ * or 128 of its 768 dims) is itself a usable embedding. Vectors are stored
+ * truncated to the configured size, as Float32Array or as int8 with a
+ * per-vector scale, plus a short int8 "coarse" prefix for the first
+ * search stage. Chunks archived before this have a plain number array.
+ */
+
+import { normalizeVector } from "./hnsw";
+
+/**
+ * Unit-length Float32Array of the first dims values
+ */
+export function truncateVector(vector, dims) {
+  return normalizeVector(vector.slice(0, Math.min(dims, vector.length)));
+}
+
+/**
+ * Symmetric scalar quantization: value ≈ data[i] * scale
+ * @returns {{ data: Int8Array, scale: number }}
+ */
+export function quantizeInt8(vector) {
+  let maxAbs = 0;
+  for (let i = 0; i < vector.length; i++) {
+    maxAbs = Math.max(maxAbs, Math.abs(vector[i]));
+  }
+  const scale = maxAbs / 127 || 1;
+  const data = new Int8Array(vector.length);
+  for (let i = 0; i < vector.length; i++) {
+    data[i] = Math.round(vector[i] / scale);
+  }
+  return { data, scale };
+}
+
+/**
+ * Stored form of an embedding
+ * @param {ArrayLike<number>} vector - full model output
+ * @param {import("./vector-db.protocol").VectorStorageConfig} config
+ */
+export function encodeVector(vector, { dims, format, coarseDims }) {
+  const truncated = truncateVector(vector, dims);
+  return {
+    embedding: format === "int8" ? quantizeInt8(truncated) : truncated,
+    coarse: quantizeInt8(truncateVector(vector, coarseDims)),
+  };
+}
+
+/**
+ * Stored embedding back as numbers (int8 scaled back up)
+ * @returns {ArrayLike<number>}
+ */
+export function decodeVector(stored) {
+  if (!(stored?.data instanceof Int8Array)) return stored;
+  return Float32Array.from(stored.data, (value) => value * stored.scale);
+}
+
+/**
+ * Vector for the coarse stage: the stored prefix when it has the wanted
+ * size, else cut from the full embedding (older chunks, changed config).
+ * Only directions matter there, so the int8 values are used unscaled.
+ */
+export function coarseVector(chunk, coarseDims) {
+  if (chunk.coarse?.data.length === coarseDims) return chunk.coarse.data;
+  return truncateVector(decodeVector(chunk.embedding), coarseDims);
+}
@@ -0,0 +1,204 @@
+/**
+ * Vector DB Worker protocol - typed request/response contracts
+ * Every request carries an id that the worker echoes on its progress,
+ * result and error messages; a "cancel" message with the same id stops
+ * the job at its next checkpoint.
+ */
+
+/**
+ * Where a chunk came from. Stored in the clear next to the embedding;
+ * chunks archived before provenance was recorded have none of it.
+ */
+export interface ChunkProvenance {
+  sessionId?: string;
+  messageIds?: string[];
+  // Number of messages per role in the chunk
+  roles?: Partial<Record<"user" | "assistant" | "system", number>>;
+  // Time span of the chunk's messages (ISO timestamps)
+  startedAt?: string;
+  endedAt?: string;
+}
+
+/**
+ * Chunk as sent for storage (embedding computed by the worker if missing)
+ */
+export interface ChunkInput extends ChunkProvenance {
+  id?: string;
+  source: string;
+  chunkIndex: number;
+  text: string;
+  embedding?: number[];
+  // Registry model and prompt version a given embedding was computed
+  // with (none = legacy EmbeddingGemma on raw text); embeddings computed
+  // by the worker get the configured ones
+  model?: string;
+  promptVersion?: number;
+  createdAt?: string;
+}
+
+/**
+ * How embeddings are stored and searched. Vectors are truncated to dims
+ * (one of the model's Matryoshka sizes) and kept as float32 or as int8
+ * with a per-vector scale. Searches rank int8 prefixes of coarseDims
+ * first and rescore the best rescoreCount with the stored vectors.
+ * Chunks keep the form they were stored in when this changes.
+ */
+export interface VectorStorageConfig {
+  // Registry key of the model chunks and queries are embedded with
+  model: string;
+  dims: number;
+  format: "float32" | "int8";
+  coarseDims: number;
+  rescoreCount: number;
+}
+
+/**
+ * Search restriction; every given field must match
+ */
+export interface ChunkFilter {
+  sessionId?: string;
+  source?: string;
+  // Chunks whose time span overlaps [from, to] (ISO timestamps)
+  from?: string;
+  to?: string;
+}
+
+/**
+ * Decrypted chunk returned by a search
+ */
+export interface ChunkResult extends ChunkProvenance {
+  id: string;
+  source: string;
+  chunkIndex: number;
+  text: string;
+  createdAt: string;
+  // Fused (reciprocal rank fusion) score; only meaningful for ordering
+  score: number;
+  // Cosine similarity to the query
+  vectorScore: number;
+  // BM25 score, 0 when no query term matched
+  lexicalScore: number;
+  // Only when the search asked for it (withEmbeddings)
+  embedding?: number[];
+}
+
+/**
+ * Reciprocal rank fusion of the vector and lexical rankings:
+ * score = sum of weight / (rrfK + rank) over the rankings a chunk is in
+ */
+export interface SearchFusion {
+  vectorWeight: number;
+  lexicalWeight: number;
+  rrfK: number;
+  // Score multiplier for chunks the user marked irrelevant
+  irrelevantFactor: number;
+}
+
+/**
+ * ANN recall self-check: share of the exact top k the index also returned
+ */
+export interface IndexCheckResult {
+  recall: number;
+  sampled: number;
+  k: number;
+  indexSize: number;
+  chunkCount: number;
+}
+
+export interface VectorStoreStats {
+  chunkCount: number;
+  totalTokens: number;
+  // Chunks embedded with another model or other task prompts than the
+  // configured ones (e.g. raw text, archived before prompts were applied)
+  // that the given key can re-embed: encrypted ones only with a key
+  staleCount: number;
+}
+
+/**
+ * Outcome of a re-embedding run; remaining chunks (locked, or the model
+ * changed mid-run) are picked up by the next run
+ */
+export interface ReembedResult {
+  migrated: number;
+  skipped: number;
+  remaining: number;
+}
+
+/**
+ * Payload and result of each request type
+ */
+export interface VectorRequests {
+  init: { payload: {}; result: {} };
+  storeChunks: {
+    payload: { chunks: ChunkInput[]; key: CryptoKey | null };
+    result: {
+      results: { id?: string; success: boolean; error?: string }[];
+      count: number;
+    };
+  };
+  search: {
+    payload: {
+      query: string;
+      topK: number;
+      key: CryptoKey | null;
+      // Skip the ANN index and the coarse stage: full-precision scan of every chunk
+      exact?: boolean;
+      fusion?: Partial<SearchFusion>;
+      filter?: ChunkFilter;
+      // Include each result's embedding (e.g. for diversity re-ranking)
+      withEmbeddings?: boolean;
+    };
+    result: { results: ChunkResult[] };
+  };
+  checkIndex: {
+    payload: { sampleSize?: number; k?: number };
+    result: IndexCheckResult;
+  };
+  setIrrelevant: {
+    payload: { ids: string[]; irrelevant: boolean };
+    result: {};
+  };
+  getStats: {
+    payload: { key: CryptoKey | null };
+    result: VectorStoreStats;
+  };
+  // Re-embed stale chunks with the configured model (progress per batch)
+  reembed: { payload: { key: CryptoKey | null }; result: ReembedResult };
+  clear: { payload: {}; result: {} };
+  expire: { payload: { before: string }; result: { count: number } };
+  deleteSession: { payload: { sessionId: string }; result: { count: number } };
+  reencrypt: {
+    payload: { oldKey: CryptoKey | null; newKey: CryptoKey | null };
+    result: { count: number };
+  };
+  destroy: { payload: {}; result: {} };
+}
+
+export type VectorRequestType = keyof VectorRequests;
+
+export type VectorPayload<T extends VectorRequestType> =
+  VectorRequests[T]["payload"];
+
+export type VectorResult<T extends VectorRequestType> =
+  VectorRequests[T]["result"];
+
+/**
+ * Main thread -> worker
+ */
+export type VectorRequestMessage =
+  | {
+      [T in VectorRequestType]: { id: number; type: T } & VectorPayload<T>;
+    }[VectorRequestType]
+  | { id: number; type: "cancel" }
+  // Port to the shared embedding worker (see connectEmbeddingPort)
+  | { type: "connectEmbedder"; port: MessagePort }
+  // Applies to chunks stored and searches made from now on
+  | { type: "configureStorage"; storage: VectorStorageConfig };
+
+/**
+ * Worker -> main thread
+ */
+export type VectorResponseMessage =
+  | { id: number; type: "result"; result: unknown }
+  | { id: number; type: "error"; error: string; cancelled?: boolean }
+  | { id: number; type: "progress"; done: number; total: number };
@@ -1,33 +1,102 @@
 /**
  * Vector DB Worker - IndexedDB-based vector search
  * Handles archived conversation chunks for RAG retrieval
- * Uses cosine similarity for vector search
+ * Searches an HNSW index (persisted in the "index" store) and falls back
+ * to exact cosine similarity over all chunks for small archives; the
+ * vector ranking is fused with BM25 keyword ranking (bm25.js)
+ * Searches can be restricted by session, source and time span, from the
+ * provenance stored with each chunk. Chunks the user marked irrelevant
+ * are down-weighted in the fused ranking.
+ * Chunk text is AES-GCM encrypted when the caller passes a key; the
+ * embeddings stay in the clear so search works without decrypting
+ * Vectors are stored truncated and optionally int8-quantized
+ * (vector-codec.js). Searches rank short int8 prefixes first (scan or
+ * HNSW) and rescore the best candidates with the stored vectors.
+ * Embeddings come from the shared embedding worker, over the port the
+ * page sends in a "connectEmbedder" message right after creating this one.
+ * Chunks are embedded as documents and searches as queries; each record
+ * is stamped with the model and prompt version it was embedded with.
+ * Vector search only considers chunks of the configured model; a
+ * "reembed" job brings the others over in the background.
+ * Request/response contracts are in vector-db.protocol.ts
  */
 
-import { pipeline, env } from "@huggingface/transformers";
+import { createEmbeddingClient } from "./embedding-client";
+import {
+  DEFAULT_EMBEDDING_MODEL,
+  LEGACY_EMBEDDING_MODEL,
+  RAW_PROMPT_VERSION,
+  getEmbeddingModel,
+} from "../lib/embedding-models";
+import { decryptText, encryptText, isEncryptedValue } from "../lib/crypto";
+import { tokenizePolish } from "../lib/polish-text";
+import { VECTOR_DB_NAME } from "../lib/database-names";
+import { Bm25Index } from "./bm25";
+import { HnswIndex, HNSW_FORMAT_VERSION } from "./hnsw";
+import {
+  coarseVector,
+  decodeVector,
+  encodeVector,
+  truncateVector,
+} from "./vector-codec";
 
-// Configure Transformers.js
-env.allowLocalModels = false;
-env.useBrowserCache = true;
-env.backends.onnx.wasm.numThreads = 1;
-env.backends.onnx.wasm.proxy = false;
-env.remoteHost = `${self.location.origin}/hf`;
-env.remotePath = "";
-
-const MODEL_ID = "onnx-community/embeddinggemma-300m-ONNX";
-const EMBEDDING_DIM = 768;
-const IDB_DB_NAME = "terapeuta_vectors";
+const IDB_DB_NAME = VECTOR_DB_NAME;
 const IDB_STORE = "chunks";
+const IDB_INDEX_STORE = "index";
+const ANN_INDEX_ID = "hnsw";
+// Ids of chunks marked irrelevant, kept next to the ANN graph
+const FEEDBACK_ID = "feedback";
+// Below this many chunks an exact scan is fast enough and never misses
+const ANN_MIN_CHUNKS = 256;
+// Candidate list size for ANN queries (higher = better recall, slower)
+const ANN_EF_SEARCH = 64;
+// Candidates each ranking contributes to the fusion
+const FUSION_CANDIDATES = 50;
+// Chunks per embedding request while re-embedding
+const REEMBED_BATCH_SIZE = 8;
+const DEFAULT_STORAGE = {
+  model: DEFAULT_EMBEDDING_MODEL,
+  dims: getEmbeddingModel(DEFAULT_EMBEDDING_MODEL).dim,
+  format: "float32",
+  coarseDims: 256,
+  rescoreCount: 200,
+};
+const DEFAULT_FUSION = {
+  vectorWeight: 1,
+  lexicalWeight: 1,
+  rrfK: 60,
+  irrelevantFactor: 0.25,
+};
 
 let idbInstance = null;
 let idbPromise = null;
-let embedderPromise = null;
+// Client of the shared embedding worker, once its port arrives
+let embeddingClient = null;
+// Set by the page with a "configureStorage" message
+let storageConfig = DEFAULT_STORAGE;
+// In-memory HNSW index over coarse vectors, loaded from IndexedDB on first use
+let annIndexPromise = null;
+// Model and coarse vector size it was built with
+let annIndexSpace = {
+  model: storageConfig.model,
+  coarseDims: storageConfig.coarseDims,
+};
+// Whether a "reembed" job is running
+let reembedding = false;
+// In-memory BM25 index, built from the chunk text. Never persisted, so an
+// encrypted archive leaves no plaintext terms at rest.
+let lexicalIndexPromise = null;
+// Whether it was built with a key (and so covers encrypted chunks)
+let lexicalIndexKeyed = false;
+// Set of chunk ids marked irrelevant, loaded on first use
+let irrelevantIdsPromise = null;
 
 /**
- * Post message to main thread
+ * Post a response to the main thread
+ * @param {import("./vector-db.protocol").VectorResponseMessage} message
  */
-function postResult(type, data = {}) {
-  self.postMessage({ type, ...data });
+function post(message) {
+  self.postMessage(message);
 }
 
 /**
@@ -38,7 +107,7 @@ function openIdb() {
   if (idbPromise) return idbPromise;
 
   idbPromise = new Promise((resolve, reject) => {
-    const request = indexedDB.open(IDB_DB_NAME, 1);
+    const request = indexedDB.open(IDB_DB_NAME, 3);
 
     request.onupgradeneeded = () => {
       const db = request.result;
@@ -47,10 +116,21 @@ function openIdb() {
         store.createIndex("bySource", "source", { unique: false });
         store.createIndex("byCreatedAt", "createdAt", { unique: false });
       }
+      // Provenance (v3); older chunks have no sessionId and are not indexed
+      const chunkStore = request.transaction.objectStore(IDB_STORE);
+      if (!chunkStore.indexNames.contains("bySessionId")) {
+        chunkStore.createIndex("bySessionId", "sessionId", { unique: false });
+      }
+      // Serialized ANN graph (v2); rebuilt from the chunks if missing
+      if (!db.objectStoreNames.contains(IDB_INDEX_STORE)) {
+        db.createObjectStore(IDB_INDEX_STORE, { keyPath: "id" });
+      }
     };
 
     request.onsuccess = () => {
       idbInstance = request.result;
+      // Let a deletion/upgrade from another context proceed
+      idbInstance.onversionchange = closeIdb;
       resolve(idbInstance);
     };
     request.onerror = () => reject(request.error);
@@ -59,6 +139,18 @@ function openIdb() {
   return idbPromise;
 }
 
+/**
+ * Close the connection; the next openIdb() reopens it
+ */
+function closeIdb() {
+  idbInstance?.close();
+  idbInstance = null;
+  idbPromise = null;
+  annIndexPromise = null;
+  lexicalIndexPromise = null;
+  irrelevantIdsPromise = null;
+}
+
 /**
  * Store chunk in IndexedDB
  */
@@ -75,6 +167,43 @@ async function storeChunk(chunk) {
   });
 }
 
+/**
+ * Get one chunk by id
+ */
+async function getChunk(id) {
+  const db = await openIdb();
+  if (!db) return undefined;
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IDB_STORE, "readonly");
+    const request = tx.objectStore(IDB_STORE).get(id);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get chunks by id in one transaction, skipping ids no longer stored
+ */
+async function getChunksById(ids) {
+  const db = await openIdb();
+  if (!db) return [];
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IDB_STORE, "readonly");
+    const store = tx.objectStore(IDB_STORE);
+    const chunks = [];
+    for (const id of ids) {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        if (request.result) chunks.push(request.result);
+      };
+    }
+    tx.oncomplete = () => resolve(chunks);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 /**
  * Get all chunks from IndexedDB
  */
@@ -92,58 +221,355 @@ async function getAllChunks() {
 }
 
 /**
- * Clear all chunks
+ * Get the chunks archived from one session
  */
-async function clearAllChunks() {
+async function getSessionChunks(sessionId) {
+  const db = await openIdb();
+  if (!db) return [];
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IDB_STORE, "readonly");
+    const index = tx.objectStore(IDB_STORE).index("bySessionId");
+    const request = index.getAll(sessionId);
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Whether a chunk matches every field of the filter
+ */
+function matchesFilter(chunk, { sessionId, source, from, to }) {
+  const startedAt = chunk.startedAt ?? chunk.createdAt;
+  const endedAt = chunk.endedAt ?? chunk.createdAt;
+  return (
+    (sessionId === undefined || chunk.sessionId === sessionId) &&
+    (source === undefined || chunk.source === source) &&
+    (from === undefined || endedAt >= from) &&
+    (to === undefined || startedAt <= to)
+  );
+}
+
+/**
+ * Chunks matching a filter, read via the session index when possible
+ */
+async function getFilteredChunks(filter) {
+  const chunks =
+    filter.sessionId === undefined
+      ? await getAllChunks()
+      : await getSessionChunks(filter.sessionId);
+  return chunks.filter((chunk) => matchesFilter(chunk, filter));
+}
+
+/**
+ * Replace all chunks in a single transaction
+ */
+async function putAllChunks(chunks) {
   const db = await openIdb();
   if (!db) return;
 
   return new Promise((resolve, reject) => {
     const tx = db.transaction(IDB_STORE, "readwrite");
     const store = tx.objectStore(IDB_STORE);
-    const request = store.clear();
-    request.onsuccess = () => resolve();
+    for (const chunk of chunks) store.put(chunk);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Delete chunks created before the cutoff (ISO timestamp)
+ * @returns ids of the deleted chunks
+ */
+async function deleteChunksBefore(before) {
+  const db = await openIdb();
+  if (!db) return [];
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IDB_STORE, "readwrite");
+    const index = tx.objectStore(IDB_STORE).index("byCreatedAt");
+    const request = index.openCursor(IDBKeyRange.upperBound(before, true));
+    const ids = [];
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      ids.push(cursor.primaryKey);
+      cursor.delete();
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(ids);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Delete every chunk archived from a session
+ * @returns ids of the deleted chunks
+ */
+async function deleteSessionChunks(sessionId) {
+  const db = await openIdb();
+  if (!db) return [];
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IDB_STORE, "readwrite");
+    const index = tx.objectStore(IDB_STORE).index("bySessionId");
+    const request = index.openKeyCursor(IDBKeyRange.only(sessionId));
+    const ids = [];
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      ids.push(cursor.primaryKey);
+      tx.objectStore(IDB_STORE).delete(cursor.primaryKey);
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(ids);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Read the serialized ANN graph
+ */
+async function readAnnIndexRecord() {
+  const db = await openIdb();
+  if (!db) return undefined;
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IDB_INDEX_STORE, "readonly");
+    const request = tx.objectStore(IDB_INDEX_STORE).get(ANN_INDEX_ID);
+    request.onsuccess = () => resolve(request.result);
     request.onerror = () => reject(request.error);
   });
 }
 
 /**
- * Get the embedder pipeline
+ * Persist the ANN graph
  */
-async function getEmbedder() {
-  if (embedderPromise) return embedderPromise;
+async function saveAnnIndex(index) {
+  const db = await openIdb();
+  if (!db) return;
 
-  embedderPromise = pipeline("feature-extraction", MODEL_ID, {
-    dtype: "fp32",
-    device: "wasm",
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IDB_INDEX_STORE, "readwrite");
+    tx.objectStore(IDB_INDEX_STORE).put({
+      id: ANN_INDEX_ID,
+      ...annIndexSpace,
+      ...index.toJSON(),
+    });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
   });
+}
 
-  return embedderPromise;
+/**
+ * Get the ids of chunks marked irrelevant
+ */
+function getIrrelevantIds() {
+  if (!irrelevantIdsPromise) {
+    irrelevantIdsPromise = openIdb()
+      .then(
+        (db) =>
+          db &&
+          new Promise((resolve, reject) => {
+            const tx = db.transaction(IDB_INDEX_STORE, "readonly");
+            const request = tx.objectStore(IDB_INDEX_STORE).get(FEEDBACK_ID);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+          }),
+      )
+      .then((record) => new Set(record?.irrelevant ?? []))
+      .catch((error) => {
+        irrelevantIdsPromise = null; // retry on the next call
+        throw error;
+      });
+  }
+  return irrelevantIdsPromise;
 }
 
 /**
- * Generate embedding for text
+ * Persist the irrelevant chunk ids
  */
-async function embed(text) {
-  const embedder = await getEmbedder();
-  const output = await embedder(text, {
-    pooling: "mean",
-    normalize: true,
+async function saveIrrelevantIds(ids) {
+  const db = await openIdb();
+  if (!db) return;
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IDB_INDEX_STORE, "readwrite");
+    tx.objectStore(IDB_INDEX_STORE).put({
+      id: FEEDBACK_ID,
+      irrelevant: [...ids],
+    });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
   });
-  return Array.from(output.data);
 }
 
 /**
- * Calculate cosine similarity between two vectors
+ * Load the ANN index and reconcile it with the chunks store: chunks of
+ * the model missing from the graph are inserted, stale nodes dropped. A
+ * missing or outdated graph (or one of another model or coarse size) is
+ * rebuilt from scratch this way.
  */
-function cosineSimilarity(a, b) {
-  if (a.length !== b.length) return 0;
+async function loadAnnIndex({ model, coarseDims }) {
+  const [allChunks, record] = await Promise.all([
+    getAllChunks(),
+    readAnnIndexRecord(),
+  ]);
+  const chunks = allChunks.filter((c) => chunkModel(c) === model);
+  const vectors = new Map(
+    chunks.map((c) => [c.id, coarseVector(c, coarseDims)]),
+  );
 
+  const index =
+    record?.version === HNSW_FORMAT_VERSION &&
+    record.model === model &&
+    record.coarseDims === coarseDims
+      ? HnswIndex.fromJSON(record, vectors)
+      : new HnswIndex();
+  const stored = index.size;
+
+  for (const chunk of chunks) {
+    if (!index.has(chunk.id)) index.insert(chunk.id, vectors.get(chunk.id));
+  }
+  if (!record || index.size !== stored || record.nodes.length !== stored) {
+    await saveAnnIndex(index);
+  }
+  return index;
+}
+
+/**
+ * Get the ANN index, loading it once per worker
+ */
+function getAnnIndex() {
+  if (!annIndexPromise) {
+    annIndexSpace = {
+      model: storageConfig.model,
+      coarseDims: storageConfig.coarseDims,
+    };
+    annIndexPromise = loadAnnIndex(annIndexSpace).catch((error) => {
+      annIndexPromise = null; // retry on the next call
+      throw error;
+    });
+  }
+  return annIndexPromise;
+}
+
+/**
+ * Build the BM25 index from every chunk readable with key
+ */
+async function buildLexicalIndex(key) {
+  const index = new Bm25Index();
+  for (const chunk of await getAllChunks()) {
+    try {
+      index.add(chunk.id, tokenizePolish(await openChunkText(chunk.text, key)));
+    } catch {
+      // Unreadable with this key
+    }
+  }
+  return index;
+}
+
+/**
+ * Get the BM25 index for this key state; locking (no key) rebuilds it
+ * without the encrypted chunks
+ */
+function getLexicalIndex(key) {
+  if (!lexicalIndexPromise || lexicalIndexKeyed !== Boolean(key)) {
+    lexicalIndexKeyed = Boolean(key);
+    lexicalIndexPromise = buildLexicalIndex(key).catch((error) => {
+      lexicalIndexPromise = null; // retry on the next call
+      throw error;
+    });
+  }
+  return lexicalIndexPromise;
+}
+
+/**
+ * Clear all chunks and both indexes
+ */
+async function clearAllChunks() {
+  const db = await openIdb();
+  if (!db) return;
+
+  annIndexPromise = null;
+  lexicalIndexPromise = null;
+  irrelevantIdsPromise = null;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([IDB_STORE, IDB_INDEX_STORE], "readwrite");
+    tx.objectStore(IDB_STORE).clear();
+    tx.objectStore(IDB_INDEX_STORE).clear();
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Generate embeddings for texts with the configured model
+ * @param {string[]} texts
+ * @param {import("../lib/embedding-models").EmbeddingTask} task
+ * @param {{ model?: string, persist?: boolean, signal?: AbortSignal }} options
+ * - persist only for text stored unencrypted (see embedding-cache.js);
+ * signal is the job's, so a cancelled job frees the shared queue
+ */
+async function embed(
+  texts,
+  task,
+  { model = storageConfig.model, persist = false, signal } = {},
+) {
+  if (!embeddingClient) throw new Error("Embedding worker not connected");
+  return embeddingClient.embed({ texts, task, model, persist }, { signal });
+}
+
+/**
+ * Model a stored chunk was embedded with
+ */
+function chunkModel(chunk) {
+  return chunk.model ?? LEGACY_EMBEDDING_MODEL;
+}
+
+/**
+ * Whether a chunk's vector is comparable with queries of the configured
+ * model
+ */
+function isCurrentModel(chunk) {
+  return chunkModel(chunk) === storageConfig.model;
+}
+
+/**
+ * Stamp for vectors embedded now
+ */
+function currentStamp() {
+  return {
+    model: storageConfig.model,
+    promptVersion: getEmbeddingModel(storageConfig.model).promptVersion,
+  };
+}
+
+/**
+ * Whether a chunk needs re-embedding: another model, or the model's
+ * prompts changed since (raw text included)
+ */
+function isStale(chunk) {
+  const { model, promptVersion } = currentStamp();
+  return (
+    chunkModel(chunk) !== model ||
+    (chunk.promptVersion ?? RAW_PROMPT_VERSION) !== promptVersion
+  );
+}
+
+/**
+ * Calculate cosine similarity between two vectors; vectors of different
+ * (Matryoshka) sizes are compared on their shared prefix
+ */
+function cosineSimilarity(a, b) {
+  const length = Math.min(a.length, b.length);
   let dotProduct = 0;
   let normA = 0;
   let normB = 0;
 
-  for (let i = 0; i < a.length; i++) {
+  for (let i = 0; i < length; i++) {
     dotProduct += a[i] * b[i];
     normA += a[i] * a[i];
     normB += b[i] * b[i];
@@ -154,154 +580,688 @@ function cosineSimilarity(a, b) {
 }
 
 /**
- * Store chunks with embeddings
+ * Stored chunk text, decrypted with key when it is ciphertext
  */
-async function handleStoreChunks(chunks) {
+async function openChunkText(text, key) {
+  if (!isEncryptedValue(text)) return text;
+  if (!key) throw new Error("Chunk is encrypted and no key was given");
+  return decryptText(key, text);
+}
+
+/**
+ * Approximate text length of a stored chunk (ciphertext carries a
+ * 16-byte GCM tag on top of the UTF-8 plaintext)
+ */
+function chunkTextLength(text) {
+  if (isEncryptedValue(text)) return text.ciphertext.byteLength - 16;
+  return text?.length || 0;
+}
+
+/**
+ * Store chunks with embeddings, reporting progress after each chunk
+ */
+async function handleStoreChunks({ chunks, key = null }, job) {
   const results = [];
+  const index = await getAnnIndex().catch((error) => {
+    // The graph catches up with the chunks store on its next load
+    console.warn("ANN index unavailable:", error);
+    return null;
+  });
+  // Kept up to date when loaded for the same key state, else rebuilt later
+  if (lexicalIndexKeyed !== Boolean(key)) lexicalIndexPromise = null;
+  const lexicalIndex = await lexicalIndexPromise?.catch(() => null);
 
-  for (const chunk of chunks) {
-    try {
-      // Generate embedding if not provided
-      let embedding = chunk.embedding;
-      if (!embedding || embedding.length === 0) {
-        embedding = await embed(chunk.text);
-      }
+  try {
+    for (const chunk of chunks) {
+      job.throwIfCancelled();
+      try {
+        // Generate embedding if not provided
+        let embedding = chunk.embedding;
+        let stamp = { model: chunk.model, promptVersion: chunk.promptVersion };
+        if (!embedding || embedding.length === 0) {
+          stamp = currentStamp();
+          [embedding] = await embed([chunk.text], "document", {
+            model: stamp.model,
+            persist: !key,
+            signal: job.signal,
+          });
+        }
 
-      const record = {
-        id: chunk.id || `${chunk.source}_${chunk.chunkIndex}`,
-        source: chunk.source,
-        chunkIndex: chunk.chunkIndex,
-        text: chunk.text,
-        embedding: embedding,
-        createdAt: chunk.createdAt || new Date().toISOString(),
-      };
+        const record = {
+          id: chunk.id || `${chunk.source}_${chunk.chunkIndex}`,
+          source: chunk.source,
+          chunkIndex: chunk.chunkIndex,
+          text: key ? await encryptText(key, chunk.text) : chunk.text,
+          ...encodeVector(embedding, storageConfig),
+          ...stamp,
+          createdAt: chunk.createdAt || new Date().toISOString(),
+          sessionId: chunk.sessionId,
+          messageIds: chunk.messageIds,
+          roles: chunk.roles,
+          startedAt: chunk.startedAt,
+          endedAt: chunk.endedAt,
+        };
 
-      await storeChunk(record);
-      results.push({ id: record.id, success: true });
-    } catch (error) {
-      console.error("Failed to store chunk:", error);
-      results.push({ id: chunk.id, success: false, error: error.message });
+        await storeChunk(record);
+        if (isCurrentModel(record)) {
+          index?.insert(
+            record.id,
+            coarseVector(record, annIndexSpace.coarseDims),
+          );
+        }
+        lexicalIndex?.add(record.id, tokenizePolish(chunk.text));
+        results.push({ id: record.id, success: true });
+      } catch (error) {
+        // An embedding aborted by a cancel is not a failed chunk
+        job.throwIfCancelled();
+        console.error("Failed to store chunk:", error);
+        results.push({ id: chunk.id, success: false, error: error.message });
+      }
+      job.progress(results.length, chunks.length);
     }
+  } finally {
+    // Also after a cancel, so the graph matches what was stored
+    if (index) await saveAnnIndex(index);
   }
 
-  postResult("storeComplete", {
-    results,
-    count: results.filter((r) => r.success).length,
-  });
+  return { results, count: results.filter((r) => r.success).length };
+}
+
+/**
+ * Rank chunks by cosine similarity of their stored vectors to the query,
+ * best first
+ * @returns {{ id: string, score: number }[]}
+ */
+function rankChunks(chunks, queryEmbedding) {
+  return chunks
+    .filter(isCurrentModel)
+    .map((chunk) => ({
+      id: chunk.id,
+      score: cosineSimilarity(queryEmbedding, decodeVector(chunk.embedding)),
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Two-stage scan: coarse prefixes pick the candidates, the stored
+ * vectors rescore them
+ */
+function scanChunks(chunks, queryEmbedding, count) {
+  const { coarseDims, rescoreCount } = storageConfig;
+  const coarseQuery = truncateVector(queryEmbedding, coarseDims);
+  const candidates = chunks
+    .filter(isCurrentModel)
+    .map((chunk) => ({
+      chunk,
+      score: cosineSimilarity(coarseQuery, coarseVector(chunk, coarseDims)),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, Math.max(rescoreCount, count))
+    .map(({ chunk }) => chunk);
+  return rankChunks(candidates, queryEmbedding).slice(0, count);
 }
 
 /**
- * Search for similar chunks
+ * Two-stage ANN search: the graph (over coarse prefixes) picks the
+ * candidates, the stored vectors rescore them
  */
-async function handleSearch(query, topK = 5) {
+async function searchAnnIndex(index, queryEmbedding, count) {
+  const candidateCount = Math.max(storageConfig.rescoreCount, count);
+  const ids = index
+    .search(
+      truncateVector(queryEmbedding, annIndexSpace.coarseDims),
+      candidateCount,
+      Math.max(ANN_EF_SEARCH, candidateCount),
+    )
+    .map((r) => r.id);
+  return rankChunks(await getChunksById(ids), queryEmbedding).slice(0, count);
+}
+
+/**
+ * Vector candidates: HNSW for large archives, a scan for small ones or
+ * if the index fails, a full-precision scan of every chunk when asked
+ * (exact). A filtered search scans just the matching chunks (scope).
+ * Chunks of another model are left to the lexical ranking.
+ * @returns {{ id: string, score: number }[]} best first
+ */
+async function vectorCandidates(queryEmbedding, count, exact, scope) {
+  if (scope) return scanChunks(scope, queryEmbedding, count);
+
+  if (exact) {
+    return rankChunks(await getAllChunks(), queryEmbedding).slice(0, count);
+  }
+
   try {
-    // Generate query embedding
-    const queryEmbedding = await embed(query);
+    const index = await getAnnIndex();
+    if (index.size >= ANN_MIN_CHUNKS) {
+      return await searchAnnIndex(index, queryEmbedding, count);
+    }
+  } catch (error) {
+    console.warn("ANN search failed, using a scan:", error);
+  }
+  return scanChunks(await getAllChunks(), queryEmbedding, count);
+}
 
-    // Get all chunks
-    const chunks = await getAllChunks();
+/**
+ * BM25 candidates for the query terms
+ * @returns {{ id: string, score: number }[]} best first
+ */
+async function lexicalCandidates(query, count, key, scope) {
+  const tokens = tokenizePolish(query);
+  if (tokens.length === 0) return [];
+
+  try {
+    const index = await getLexicalIndex(key);
+    const ids = scope && new Set(scope.map((chunk) => chunk.id));
+    return index.search(tokens, count, ids && ((id) => ids.has(id)));
+  } catch (error) {
+    console.warn("Lexical search failed, using vector ranking only:", error);
+    return [];
+  }
+}
 
-    if (chunks.length === 0) {
-      postResult("searchComplete", { results: [] });
-      return;
+/**
+ * Reciprocal rank fusion of the two rankings, best first; chunks marked
+ * irrelevant have their score scaled by fusion.irrelevantFactor
+ */
+function fuseRankings(vectorRanked, lexicalRanked, fusion, irrelevantIds) {
+  const fused = new Map();
+  const add = (ranked, weight, field) => {
+    ranked.forEach(({ id, score }, rank) => {
+      const entry = fused.get(id) ?? { id, score: 0 };
+      entry.score += weight / (fusion.rrfK + rank + 1);
+      entry[field] = score;
+      fused.set(id, entry);
+    });
+  };
+
+  if (fusion.vectorWeight > 0)
+    add(vectorRanked, fusion.vectorWeight, "vectorScore");
+  if (fusion.lexicalWeight > 0)
+    add(lexicalRanked, fusion.lexicalWeight, "lexicalScore");
+  for (const entry of fused.values()) {
+    if (irrelevantIds.has(entry.id)) entry.score *= fusion.irrelevantFactor;
+  }
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Load and decrypt fused results until topK are readable, skipping any
+ * this key cannot open (locked, or encrypted under another key)
+ */
+async function openFused(fused, topK, key, queryEmbedding, withEmbeddings) {
+  const results = [];
+  for (const item of fused) {
+    if (results.length >= topK) break;
+
+    const chunk = await getChunk(item.id);
+    if (!chunk) continue;
+    const { embedding, coarse, ...rest } = chunk;
+    // Another model's vector says nothing about similarity to the query
+    const vector = isCurrentModel(chunk) ? decodeVector(embedding) : null;
+    try {
+      results.push({
+        ...rest,
+        text: await openChunkText(rest.text, key),
+        score: item.score,
+        vectorScore:
+          item.vectorScore ??
+          (vector ? cosineSimilarity(queryEmbedding, vector) : 0),
+        lexicalScore: item.lexicalScore ?? 0,
+        ...(withEmbeddings && vector && { embedding: Array.from(vector) }),
+      });
+    } catch {
+      // Unreadable with this key
     }
+  }
+  return results;
+}
 
-    // Calculate similarities
-    const scored = chunks.map((chunk) => ({
-      ...chunk,
-      score: cosineSimilarity(queryEmbedding, chunk.embedding),
-    }));
+/**
+ * Hybrid search: vector and BM25 rankings merged by reciprocal rank
+ * fusion. Both over-fetch, so unreadable chunks do not leave the result
+ * short.
+ */
+async function handleSearch(
+  {
+    query,
+    topK = 5,
+    key = null,
+    exact = false,
+    fusion = {},
+    filter,
+    withEmbeddings = false,
+  },
+  job,
+) {
+  const weights = { ...DEFAULT_FUSION, ...fusion };
+  const count = Math.max(FUSION_CANDIDATES, topK * 2);
 
-    // Sort by score descending and take topK
-    scored.sort((a, b) => b.score - a.score);
-    const results = scored.slice(0, topK).map(({ embedding, ...rest }) => rest);
+  // Generate query embedding
+  const [queryEmbedding] = await embed([query], "query", {
+    signal: job.signal,
+  });
+  job.throwIfCancelled();
 
-    postResult("searchComplete", { results });
-  } catch (error) {
-    console.error("Search failed:", error);
-    postResult("searchError", { error: error.message });
+  const filtered =
+    filter && Object.values(filter).some((value) => value !== undefined);
+  const scope = filtered ? await getFilteredChunks(filter) : null;
+  if (scope?.length === 0) return { results: [] };
+
+  const [vectorRanked, lexicalRanked, irrelevantIds] = await Promise.all([
+    vectorCandidates(queryEmbedding, count, exact, scope),
+    lexicalCandidates(query, count, key, scope),
+    getIrrelevantIds().catch(() => new Set()),
+  ]);
+  job.throwIfCancelled();
+
+  return {
+    results: await openFused(
+      fuseRankings(vectorRanked, lexicalRanked, weights, irrelevantIds),
+      topK,
+      key,
+      queryEmbedding,
+      withEmbeddings,
+    ),
+  };
+}
+
+/**
+ * Uniform random sample of up to n items (partial Fisher-Yates shuffle
+ * of a copy)
+ */
+function randomSample(items, n) {
+  const pool = [...items];
+  const count = Math.min(n, pool.length);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(Math.random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+}
+
+/**
+ * Recall self-check: stored embeddings serve as queries, and the
+ * two-stage ANN top k is compared with a full-precision scan (the query
+ * chunk itself excluded)
+ */
+async function handleCheckIndex({ sampleSize = 20, k = 10 }, job) {
+  const [index, allChunks] = await Promise.all([getAnnIndex(), getAllChunks()]);
+  const chunks = allChunks.filter(isCurrentModel);
+  const sample = randomSample(chunks, sampleSize);
+
+  let hits = 0;
+  let total = 0;
+  for (const [i, chunk] of sample.entries()) {
+    job.throwIfCancelled();
+
+    const query = decodeVector(chunk.embedding);
+    const expected = rankChunks(chunks, query)
+      .filter((c) => c.id !== chunk.id)
+      .slice(0, k)
+      .map((c) => c.id);
+    const found = new Set(
+      (await searchAnnIndex(index, query, k + 1)).map((r) => r.id),
+    );
+
+    hits += expected.filter((id) => found.has(id)).length;
+    total += expected.length;
+    job.progress(i + 1, sample.length);
   }
+
+  return {
+    recall: total === 0 ? 1 : hits / total,
+    sampled: sample.length,
+    k,
+    indexSize: index.size,
+    chunkCount: chunks.length,
+  };
 }
 
 /**
  * Get database stats
  */
-async function handleGetStats() {
+async function handleGetStats({ key = null }) {
+  const chunks = await getAllChunks();
+  // Every encrypted chunk is under the one current key (see
+  // handleReencrypt), so with a key they all open
+  const canOpen = (chunk) => Boolean(key) || !isEncryptedValue(chunk.text);
+
+  return {
+    chunkCount: chunks.length,
+    totalTokens: chunks.reduce(
+      (sum, c) => sum + chunkTextLength(c.text) / 4,
+      0,
+    ),
+    staleCount: chunks.filter((c) => isStale(c) && canOpen(c)).length,
+  };
+}
+
+/**
+ * Replace a chunk's vector and stamp, keeping the rest of the record as
+ * stored now (it may have been re-encrypted or deleted meanwhile)
+ * @returns {Promise<boolean>} false if the chunk is gone
+ */
+async function updateChunkVector(id, fields) {
+  const db = await openIdb();
+  if (!db) return false;
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IDB_STORE, "readwrite");
+    const store = tx.objectStore(IDB_STORE);
+    const request = store.get(id);
+    let updated = false;
+    request.onsuccess = () => {
+      if (!request.result) return;
+      store.put({ ...request.result, ...fields });
+      updated = true;
+    };
+    tx.oncomplete = () => resolve(updated);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Re-embed chunks of another model or prompt version with the configured
+ * model, a batch at a time. Every batch is written as it completes, so a
+ * cancelled or interrupted run resumes where it stopped on the next one.
+ * Chunks key cannot decrypt are left for a run with the right key; a
+ * model switch mid-run ends it early.
+ */
+async function handleReembed({ key = null }, job) {
+  if (reembedding) throw new Error("Re-embedding already running");
+  reembedding = true;
+
+  const config = storageConfig;
+  const stamp = currentStamp();
+  let migrated = 0;
+  let skipped = 0;
+  let index = null;
+
   try {
-    const chunks = await getAllChunks();
-
-    postResult("statsComplete", {
-      chunkCount: chunks.length,
-      totalTokens: chunks.reduce(
-        (sum, c) => sum + (c.text?.length || 0) / 4,
-        0,
-      ),
+    const stale = (await getAllChunks()).filter(isStale);
+    index = await getAnnIndex().catch((error) => {
+      console.warn("ANN index unavailable:", error);
+      return null;
     });
-  } catch (error) {
-    postResult("statsError", { error: error.message });
+    job.progress(0, stale.length);
+
+    for (let i = 0; i < stale.length; i += REEMBED_BATCH_SIZE) {
+      job.throwIfCancelled();
+      if (storageConfig !== config) break;
+
+      const batch = [];
+      for (const chunk of stale.slice(i, i + REEMBED_BATCH_SIZE)) {
+        try {
+          batch.push({
+            id: chunk.id,
+            text: await openChunkText(chunk.text, key),
+          });
+        } catch {
+          skipped++;
+        }
+      }
+
+      const embeddings = await embed(
+        batch.map((b) => b.text),
+        "document",
+        { model: stamp.model, persist: !key, signal: job.signal },
+      );
+      for (const [j, { id }] of batch.entries()) {
+        const fields = { ...encodeVector(embeddings[j], config), ...stamp };
+        if (!(await updateChunkVector(id, fields))) continue;
+        index?.insert(id, coarseVector(fields, annIndexSpace.coarseDims));
+        migrated++;
+      }
+      job.progress(
+        Math.min(i + REEMBED_BATCH_SIZE, stale.length),
+        stale.length,
+      );
+    }
+
+    return { migrated, skipped, remaining: stale.length - migrated };
+  } finally {
+    reembedding = false;
+    // A graph of the previous model is rebuilt anyway
+    if (index && storageConfig === config) await saveAnnIndex(index);
+  }
+}
+
+/**
+ * Re-encrypt all chunk text from oldKey to newKey (null = plaintext).
+ * Nothing is written until every chunk converted, so a cancel is safe.
+ */
+async function handleReencrypt({ oldKey = null, newKey = null }, job) {
+  const chunks = await getAllChunks();
+  const updated = [];
+  for (const chunk of chunks) {
+    job.throwIfCancelled();
+    const text = await openChunkText(chunk.text, oldKey);
+    updated.push({
+      ...chunk,
+      text: newKey ? await encryptText(newKey, text) : text,
+    });
+    job.progress(updated.length, chunks.length);
+  }
+
+  await putAllChunks(updated);
+  // Rebuilt for the new key on the next search
+  lexicalIndexPromise = null;
+  return { count: updated.length };
+}
+
+/**
+ * Drop deleted chunks from the ANN, lexical and irrelevant-id indexes
+ */
+async function removeFromIndexes(ids) {
+  if (ids.length === 0) return;
+
+  // An index not loaded yet drops the stale nodes when it loads
+  if (annIndexPromise) {
+    const index = await annIndexPromise;
+    index.remove(ids);
+    await saveAnnIndex(index);
   }
+  if (lexicalIndexPromise) {
+    const lexicalIndex = await lexicalIndexPromise.catch(() => null);
+    lexicalIndex?.remove(ids);
+  }
+  const irrelevantIds = await getIrrelevantIds();
+  const dropped = ids.filter((id) => irrelevantIds.delete(id));
+  if (dropped.length > 0) {
+    await saveIrrelevantIds(irrelevantIds);
+  }
+}
+
+/**
+ * Delete chunks older than the retention cutoff
+ */
+async function handleExpire({ before }) {
+  const ids = await deleteChunksBefore(before);
+  await removeFromIndexes(ids);
+  return { count: ids.length };
+}
+
+/**
+ * Delete the chunks of a deleted conversation
+ */
+async function handleDeleteSession({ sessionId }) {
+  const ids = await deleteSessionChunks(sessionId);
+  await removeFromIndexes(ids);
+  return { count: ids.length };
+}
+
+/**
+ * Mark (or unmark) chunks as irrelevant to future searches
+ */
+async function handleSetIrrelevant({ ids, irrelevant }) {
+  const irrelevantIds = await getIrrelevantIds();
+  for (const id of ids) {
+    if (irrelevant) irrelevantIds.add(id);
+    else irrelevantIds.delete(id);
+  }
+  await saveIrrelevantIds(irrelevantIds);
+  return {};
 }
 
 /**
  * Clear all data
  */
 async function handleClear() {
-  try {
-    await clearAllChunks();
-    postResult("clearComplete", { success: true });
-  } catch (error) {
-    postResult("clearError", { error: error.message });
-  }
+  await clearAllChunks();
+  return {};
+}
+
+/**
+ * Delete the whole database (not just its store)
+ */
+async function handleDestroy() {
+  closeIdb();
+  await new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(IDB_DB_NAME);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+  return {};
 }
 
 /**
  * Initialize the worker
  */
 async function init() {
-  try {
-    await openIdb();
-    // Model will be loaded lazily on first embed request
-    postResult("ready");
-  } catch (error) {
-    console.error("Worker init error:", error);
-    postResult("initError", { error: error.message });
+  await openIdb();
+  // The embedding worker loads the model on the first embed request
+  return {};
+}
+
+const HANDLERS = {
+  init,
+  storeChunks: handleStoreChunks,
+  search: handleSearch,
+  checkIndex: handleCheckIndex,
+  setIrrelevant: handleSetIrrelevant,
+  getStats: handleGetStats,
+  reembed: handleReembed,
+  clear: handleClear,
+  expire: handleExpire,
+  deleteSession: handleDeleteSession,
+  reencrypt: handleReencrypt,
+  destroy: handleDestroy,
+};
+
+// Running jobs by request id, so a "cancel" can flag them
+const jobs = new Map();
+
+// Jobs that write chunks or the irrelevant ids run one at a time, in
+// arrival order, so a bulk rewrite (reencrypt) can neither resurrect
+// concurrent deletions nor miss a chunk stored under the old key.
+// Re-embedding only updates vectors of existing records, per record.
+const SERIALIZED_TYPES = new Set([
+  "storeChunks",
+  "setIrrelevant",
+  "clear",
+  "expire",
+  "deleteSession",
+  "reencrypt",
+  "destroy",
+]);
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a writing job after every writing job that arrived before it
+ */
+function runSerialized(run) {
+  const result = writeQueue.then(run);
+  writeQueue = result.catch(() => {});
+  return result;
+}
+
+class CancelledError extends Error {
+  constructor() {
+    super("Cancelled");
+    this.name = "CancelledError";
   }
 }
 
+/**
+ * Register a running request; handlers use it to honour cancellation
+ * and report progress
+ */
+function createJob(id) {
+  const controller = new AbortController();
+  const job = {
+    cancelled: false,
+    // Passed on to embedding requests
+    signal: controller.signal,
+    cancel() {
+      job.cancelled = true;
+      controller.abort();
+    },
+    throwIfCancelled() {
+      if (job.cancelled) throw new CancelledError();
+    },
+    progress(done, total) {
+      post({ id, type: "progress", done, total });
+    },
+  };
+  jobs.set(id, job);
+  return job;
+}
+
 /**
  * Handle incoming messages
+ * @param {MessageEvent<import("./vector-db.protocol").VectorRequestMessage>} event
  */
 self.onmessage = async (event) => {
-  const { type, ...data } = event.data;
+  const { id, type, ...payload } = event.data;
 
-  try {
-    switch (type) {
-      case "init":
-        await init();
-        break;
-
-      case "storeChunks":
-        await handleStoreChunks(data.chunks);
-        break;
+  if (type === "connectEmbedder") {
+    embeddingClient = createEmbeddingClient(payload.port);
+    return;
+  }
 
-      case "search":
-        await handleSearch(data.query, data.topK);
-        break;
+  if (type === "configureStorage") {
+    storageConfig = { ...DEFAULT_STORAGE, ...payload.storage };
+    // Rebuilt for the new model or coarse size on next use
+    if (
+      storageConfig.model !== annIndexSpace.model ||
+      storageConfig.coarseDims !== annIndexSpace.coarseDims
+    ) {
+      annIndexPromise = null;
+    }
+    return;
+  }
 
-      case "getStats":
-        await handleGetStats();
-        break;
+  if (type === "cancel") {
+    const job = jobs.get(id);
+    job?.cancel();
+    return;
+  }
 
-      case "clear":
-        await handleClear();
-        break;
+  const handler = HANDLERS[type];
+  if (!handler) {
+    post({ id, type: "error", error: `Unknown request type: ${type}` });
+    return;
+  }
 
-      default:
-        console.warn("Unknown message type:", type);
-    }
+  const job = createJob(id);
+  try {
+    const run = () => {
+      // Cancelled while waiting for its turn
+      job.throwIfCancelled();
+      return handler(payload, job);
+    };
+    const result = await (SERIALIZED_TYPES.has(type)
+      ? runSerialized(run)
+      : run());
+    post({ id, type: "result", result });
   } catch (error) {
-    console.error("Worker error:", error);
-    postResult("error", { error: error.message, originalType: type });
+    // An aborted embedding request ends a cancelled job too
+    const cancelled = error instanceof CancelledError || job.cancelled;
+    if (!cancelled) console.error(`Worker ${type} failed:`, error);
+    post({ id, type: "error", error: error.message, cancelled });
+  } finally {
+    jobs.delete(id);
   }
 };
 
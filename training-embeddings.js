@@ -1,4 +1,11 @@
-import { pipeline, env } from "@huggingface/transformers";
+/**
+ * Ingestia materiałów szkoleniowych do Firestore (narzędzie panelu
+ * administracyjnego, poza buildem Astro).
+ * Embeddingi liczy wspólny worker czatu (src/workers/embedding.worker.js)
+ * z zadaniem "raw": tekst bez promptu, tak jak wektory już zapisane w
+ * Firestore i zapytania z vector-search.js.
+ */
+
 import { getAuth, onAuthStateChanged } from "firebase/auth";
 import {
   collection,
@@ -10,29 +17,25 @@ import {
 } from "firebase/firestore";
 import { app } from "../firebase-init.js";
 import { firestore } from "../firebase-firestore.js";
+import {
+  embedTexts,
+  getActiveEmbeddingModel,
+  preloadEmbedder,
+} from "./src/services/embeddings";
 
-// Konfiguracja modelu i parametrów przetwarzania tekstu
-const MODEL_ID = "onnx-community/embeddinggemma-300m-ONNX";
+// Parametry przetwarzania tekstu
 // Ustawienia dostrojone pod RAG dla Gemma 3: większe fragmenty + sensowny overlap
 const DEFAULT_CHUNK_SIZE = 1200; // Długość fragmentu w znakach (ok. 700-900 tokenów)
 const DEFAULT_OVERLAP = 200; // Zakładka między fragmentami dla zachowania kontekstu
 const MAX_CHUNKS = 500; // Limit fragmentów na jedno źródło
 const DEDUP_MIN_LENGTH = 80; // Minimalna długość, od której deduplikujemy fragmenty
 const BATCH_WRITE_LIMIT = 450; // Limit bezpieczny dla Firestore batch
-const EMBED_YIELD_EVERY = 1; // Jak często oddać sterowanie UI podczas embedowania
 const SHORT_TEXT_THRESHOLD = 500; // Próg dla krótszych tekstów
 const SHORT_CHUNK_SIZE = 400; // Mniejszy chunk dla krótkich tekstów
 const SHORT_OVERLAP = 60; // Mniejszy overlap dla krótkich tekstów
-const EMBED_CONCURRENCY = 2; // Ograniczona równoległość dla stabilności w przeglądarce
 console.log("ok");
-let embedderPromise = null;
 let isProgressYielding = false;
 
-// Konfiguracja Transformers.js dla przeglądarki
-env.allowLocalModels = false;
-// Używamy pamięci podręcznej przeglądarki, aby nie pobierać modelu przy każdym odświeżeniu
-env.useBrowserCache = true;
-
 /**
  * Ustawia tekst statusu w interfejsie użytkownika
  * (batched w requestAnimationFrame, aby nie blokować renderu paska postępu)
@@ -152,144 +155,6 @@ function chunkText(
   return chunks;
 }
 
-async function embedChunksWithConcurrency(embedder, chunks, onProgress) {
-  const results = new Array(chunks.length);
-  let completed = 0;
-  let nextIndex = 0;
-
-  async function worker() {
-    while (nextIndex < chunks.length) {
-      const index = nextIndex;
-      nextIndex += 1;
-      const vector = await embedText(embedder, chunks[index]);
-      results[index] = vector;
-      completed += 1;
-      if (onProgress) await onProgress(completed, chunks.length);
-      if (completed % EMBED_YIELD_EVERY === 0) {
-        await new Promise((resolve) => setTimeout(resolve, 0));
-      }
-    }
-  }
-
-  const workers = Array.from({ length: EMBED_CONCURRENCY }, () => worker());
-  await Promise.all(workers);
-  return results;
-}
-
-/**
- * Oblicza rozmiar modelu w pamięci
- */
-function calculateModelSize(model) {
-  let totalSize = 0;
-
-  // Iteruj przez obiekty modelu, aby znaleźć tensory
-  const traverse = (obj, depth = 0) => {
-    if (depth > 5) return; // Limit głębokości rekurencji
-    if (!obj || typeof obj !== "object") return;
-
-    for (const [key, value] of Object.entries(obj)) {
-      // Sprawdź czy to tensor z danymi
-      if (value && typeof value === "object") {
-        if (value.data && ArrayBuffer.isView(value.data)) {
-          // To jest tensor
-          totalSize += value.data.byteLength;
-        } else if (Array.isArray(value.data)) {
-          // Tablica liczb
-          totalSize += value.data.length * 4; // Zakładając float32
-        } else if (key !== "config" && typeof value === "object") {
-          // Rekurencyjnie sprawdź zagnieżdżone obiekty
-          traverse(value, depth + 1);
-        }
-      }
-    }
-  };
-
-  traverse(model);
-
-  const sizeMB = (totalSize / (1024 * 1024)).toFixed(2);
-  const sizeGB = (totalSize / (1024 * 1024 * 1024)).toFixed(4);
-
-  return { bytesTotal: totalSize, sizeMB, sizeGB };
-}
-
-/**
- * Inicjalizuje i pobiera potok (pipeline) do generowania embeddingów
- */
-let modelLoadStartTime = null;
-let modelInfo = null;
-
-async function checkWebGPU() {
-  // 1. Sprawdź czy API istnieje
-  if (!navigator.gpu) {
-    return false;
-  }
-
-  // 2. Spróbuj pobrać adapter (dostęp do karty graficznej)
-  const adapter = await navigator.gpu.requestAdapter();
-
-  if (!adapter) {
-    return false;
-  }
-
-  return true;
-}
-
-checkWebGPU().then(console.log);
-
-async function getEmbedder() {
-  if (!embedderPromise) {
-    const isWebGPU = await checkWebGPU();
-    modelLoadStartTime = performance.now();
-    if (isWebGPU) {
-      embedderPromise = pipeline("feature-extraction", MODEL_ID, {
-        device: "webgpu",
-      });
-    } else {
-      embedderPromise = pipeline("feature-extraction", MODEL_ID);
-    }
-
-    // Pobierz informacje o modelu po załadowaniu
-    embedderPromise.then((model) => {
-      const loadTime = performance.now() - modelLoadStartTime;
-      const { sizeMB, sizeGB } = calculateModelSize(model);
-
-      logProgress("Model załadowany", {
-        modelId: MODEL_ID,
-        loadTimeMs: Math.round(loadTime),
-        loadTimeSec: (loadTime / 1000).toFixed(2),
-        memorySizeMB: `${sizeMB} MB`,
-        memorySizeGB: `${sizeGB} GB`,
-      });
-    });
-  }
-  return embedderPromise;
-}
-
-/**
- * Convert output tensor to a plain JavaScript array (vector)
- */
-function toVector(embedding) {
-  // Transformers.js może zwrócić obiekt Tensor z polem .data lub zagnieżdżone tablice
-  if (embedding && embedding.data) {
-    return Array.from(embedding.data);
-  }
-  if (Array.isArray(embedding)) {
-    return embedding.flat(2);
-  }
-  return [];
-}
-
-/**
- * Generuje wektor (embedding) dla podanego fragmentu tekstu
- */
-async function embedText(embedder, text) {
-  const output = await embedder(text, {
-    pooling: "mean",
-    normalize: true,
-  });
-  return toVector(output);
-}
-
 /**
  * Zapisuje wygenerowane fragmenty i ich wektory do Firestore w jednej paczce (batch)
  */
@@ -301,7 +166,7 @@ async function writeChunksToFirestore({ userId, fileName, chunks, vectors }) {
     "trainingVectors",
   );
   const createdAt = serverTimestamp();
-  const model = MODEL_ID;
+  const model = getActiveEmbeddingModel().id;
 
   // Usuń poprzednie dane użytkownika, aby przechowywać tylko jedno źródło
   const existing = await getDocs(baseCollection);
@@ -419,10 +284,11 @@ export function initTrainingUpload() {
 
   // Wstępne ładowanie modelu w tle po wejściu na podstronę
   setTimeout(async () => {
-    logProgress("Preload modelu rozpoczęty", { modelId: MODEL_ID });
+    const modelId = getActiveEmbeddingModel().id;
+    logProgress("Preload modelu rozpoczęty", { modelId });
     try {
-      await getEmbedder();
-      logProgress("Preload modelu zakończony", { modelId: MODEL_ID });
+      const device = await preloadEmbedder();
+      logProgress("Preload modelu zakończony", { modelId, device });
     } catch (error) {
       logProgress("BŁĄD: Preload modelu nieudany", { error });
     }
@@ -492,18 +358,19 @@ export function initTrainingUpload() {
     // setStatus(statusEl, "Ładowanie modelu - EmbeddingGemma...");
     await new Promise((resolve) => setTimeout(resolve, 100)); // Krótkie opóźnienie dla UI
 
-    logProgress("Ładowanie modelu", { modelId: MODEL_ID });
+    const modelId = getActiveEmbeddingModel().id;
+    logProgress("Ładowanie modelu", { modelId });
     // setProgress(20, "Ładowanie modelu...");
     await new Promise((resolve) => setTimeout(resolve, 50)); // Krótkie opóźnienie dla UI
 
-    let embedder;
     try {
       const modelLoadStart = performance.now();
-      embedder = await getEmbedder();
+      const device = await preloadEmbedder();
       const modelLoadDuration = performance.now() - modelLoadStart;
 
       logProgress("Model gotowy do użytku", {
-        modelId: MODEL_ID,
+        modelId,
+        device,
         loadTimeMs: Math.round(modelLoadDuration),
         loadTimeSec: (modelLoadDuration / 1000).toFixed(2),
       });
@@ -514,30 +381,21 @@ export function initTrainingUpload() {
       );
     }
 
-    logProgress("Rozpoczynam analizę fragmentów", { modelId: MODEL_ID });
+    logProgress("Rozpoczynam analizę fragmentów", { modelId });
     // Progress bar pojawia się dopiero tutaj - gdy zaczynamy embedowanie
     setProgress(22, "Analizuję treść: 0/0 fragmentów...");
     await new Promise((resolve) => setTimeout(resolve, 50)); // Krótkie opóźnienie dla UI
     const embedStart = performance.now();
-    const vectors = await embedChunksWithConcurrency(
-      embedder,
-      chunks,
-      async (done, total) => {
-        const percent = Math.round(22 + (done / total) * 65); // 22% -> 87%
-        // Wymuś odświeżenie statusu bezpośrednio (omijając debounce flushRaf)
-        // dla ważnych kamieni milowych postępu
-        setProgress(percent, `Analizuję treść: ${done}/${total} fragmentów...`);
-
-        // Zawsze oddaj sterowanie event loop, aby UI mogło się przerysować
-        await new Promise((resolve) =>
-          requestAnimationFrame(() => setTimeout(resolve, 0)),
-        );
-
-        if (done % 10 === 0 || done === total) {
-          logProgress("Postęp embedowania", { done, total });
-        }
-      },
-    );
+    // Model działa w workerze, więc UI przerysowuje się bez oddawania sterowania
+    const embeddings = await embedTexts(chunks, "raw", (done, total) => {
+      const percent = Math.round(22 + (done / total) * 65); // 22% -> 87%
+      setProgress(percent, `Analizuję treść: ${done}/${total} fragmentów...`);
+
+      if (done % 10 === 0 || done === total) {
+        logProgress("Postęp embedowania", { done, total });
+      }
+    });
+    const vectors = embeddings.map((embedding) => Array.from(embedding));
     const embedTime = performance.now() - embedStart;
     logProgress("Embedowanie ukończone", {
       vectorCount: vectors.length,
@@ -1,18 +1,18 @@
-import { pipeline, env } from "@huggingface/transformers";
-
-// Transformers.js config
-// Cache buster: 2026-01-25-1
-env.allowLocalModels = false;
-env.useBrowserCache = true;
-// Disable multi-threading to prevent WASM OOM/Aborted errors in worker
-env.backends.onnx.wasm.numThreads = 1;
-// Ensure we don't try to spawn more workers from within this worker
-env.backends.onnx.wasm.proxy = false;
-
-const MODEL_ID = "onnx-community/embeddinggemma-300m-ONNX";
+/**
+ * Vector DB worker of the Firestore-backed vector-search.js page (not part
+ * of the Astro build). Embeddings come from the shared embedding worker in
+ * src/workers, over the port vector-search.js sends in connect_embedder,
+ * with the raw task (no prompt) to match the vectors synced to Firestore.
+ */
+
+import { createEmbeddingClient } from "./src/workers/embedding-client";
+
 let db = null;
 let dbPromise = null;
-let embedderPromise = null;
+// Client of the shared embedding worker and the registry key to embed with
+let embeddingClient = null;
+let embeddingModel = null;
+let devicePromise = null;
 let opfsReported = false;
 let useIdbFallback = false;
 let rehydratePromise = null;
@@ -28,61 +28,6 @@ let vec0Available = false;
 let vec0DisabledReason = null;
 let lastUsedBackend = "unknown";
 const EMBED_BATCH_SIZE_MAX = 16;
-const MIN_WEBGPU_DEVICE_MEMORY_GB = 4;
-const MIN_WEBGPU_CPU_CORES = 4;
-
-function shouldUseWebgpu(adapterInfo) {
-  const nav = self.navigator || {};
-  const deviceMemory =
-    typeof nav.deviceMemory === "number" ? nav.deviceMemory : null;
-  const hardwareConcurrency =
-    typeof nav.hardwareConcurrency === "number"
-      ? nav.hardwareConcurrency
-      : null;
-  const desc = String(adapterInfo?.description || "").toLowerCase();
-  const isSoftware =
-    desc.includes("swiftshader") ||
-    desc.includes("llvmpipe") ||
-    desc.includes("software");
-
-  if (isSoftware) {
-    return {
-      use: false,
-      reason: "software-adapter",
-      deviceMemory,
-      hardwareConcurrency,
-    };
-  }
-
-  if (deviceMemory !== null && deviceMemory < MIN_WEBGPU_DEVICE_MEMORY_GB) {
-    return {
-      use: false,
-      reason: "low-device-memory",
-      deviceMemory,
-      hardwareConcurrency,
-    };
-  }
-
-  if (
-    hardwareConcurrency !== null &&
-    hardwareConcurrency < MIN_WEBGPU_CPU_CORES
-  ) {
-    return {
-      use: false,
-      reason: "low-cpu-cores",
-      deviceMemory,
-      hardwareConcurrency,
-    };
-  }
-
-  return {
-    use: true,
-    reason: null,
-    deviceMemory,
-    hardwareConcurrency,
-  };
-}
-
 function getInitialBatchSize(totalCount) {
   if (lastUsedBackend === "webgpu") {
     if (totalCount >= 32) return 16;
@@ -587,89 +532,38 @@ async function getSQLite() {
   }
 }
 
+/**
+ * Load the model in the shared embedding worker; the device it runs on
+ * drives batch sizing
+ */
 async function getEmbedder() {
-  if (!embedderPromise) {
-    embedderPromise = (async () => {
-      let webgpuSupported = false;
-      let webgpuError = null;
-      let adapterInfo = null;
-
-      try {
-        // Step 1: Check if API exists in this context
-        const hasNavigatorGpu = Boolean(self.navigator && self.navigator.gpu);
-
-        if (hasNavigatorGpu) {
-          // Step 2: Try manual adapter request (more reliable than just checking API)
-          const adapter = await self.navigator.gpu.requestAdapter();
-          if (adapter) {
-            webgpuSupported = true;
-            // Get info about the hardware if possible
-            if (adapter.info) {
-              adapterInfo = {
-                vendor: adapter.info.vendor,
-                architecture: adapter.info.architecture,
-                device: adapter.info.device,
-                description: adapter.info.description,
-              };
-            }
-          } else {
-            webgpuError =
-              "navigator.gpu exists but requestAdapter() returned null (Linux driver issue?)";
-          }
-        } else {
-          webgpuError =
-            "self.navigator.gpu is undefined in this worker context";
-        }
-
-        // Step 3: Check what Transformers.js thinks
-        const isSupportedFn = env?.backends?.onnx?.webgpu?.isSupported;
-        const transformersThinksSupported =
-          typeof isSupportedFn === "function" ? await isSupportedFn() : false;
-
-        // Force supported if we got an adapter, even if transformers.js is conservative
-        if (webgpuSupported || transformersThinksSupported) {
-          webgpuSupported = true;
-        }
-      } catch (e) {
-        webgpuSupported = false;
-        webgpuError =
-          "Exception during WebGPU check: " + String((e && e.message) || e);
-      }
-
-      const resourceDecision = shouldUseWebgpu(adapterInfo);
-      if (webgpuSupported && !resourceDecision.use) {
-        webgpuSupported = false;
-        webgpuError = `resource-guard:${resourceDecision.reason}`;
-      }
-
-      postDebug("embedder_backend_detailed", {
-        model: MODEL_ID,
-        webgpuSupported,
-        webgpuError,
-        adapterInfo,
-        resourceDecision,
-        wasmThreads: env?.backends?.onnx?.wasm?.numThreads,
-      });
-
-      // Use WebGPU when available. Otherwise let Transformers.js pick the default CPU backend.
-      const options = webgpuSupported ? { device: "webgpu" } : undefined;
-      const pipe = await pipeline("feature-extraction", MODEL_ID, options);
-
-      const selectedDevice =
-        pipe?.device || pipe?.model?.device || options?.device || "auto";
-      const selectedDeviceStr = String(selectedDevice).toLowerCase();
-      lastUsedBackend = selectedDeviceStr.includes("webgpu")
-        ? "webgpu"
-        : "wasm";
-
-      postDebug("embedder_selected_device", {
-        selectedDevice,
-      });
-
-      return pipe;
-    })();
+  if (!embeddingClient) throw new Error("Embedding worker not connected");
+  if (!devicePromise) {
+    devicePromise = embeddingClient.init(embeddingModel).then(
+      (device) => {
+        lastUsedBackend = device;
+        postDebug("embedder_selected_device", {
+          model: embeddingModel,
+          device,
+        });
+        return device;
+      },
+      (e) => {
+        // Allow retry if loading failed
+        devicePromise = null;
+        throw e;
+      },
+    );
   }
-  return embedderPromise;
+  return devicePromise;
+}
+
+/**
+ * Embed texts as they are, without a task prompt
+ */
+async function embedRaw(texts) {
+  await getEmbedder();
+  return embeddingClient.embed({ texts, task: "raw", model: embeddingModel });
 }
 
 function chunkText(text, maxLen = 1000, overlap = 200) {
@@ -763,18 +657,16 @@ async function prepareWithProgress(userId, text, sourceName, clearExisting) {
   self.postMessage({ type: "progress", completed, total: chunks.length });
 
   // Init embedder
-  const pipe = await getEmbedder();
+  await getEmbedder();
 
+  // The embedding worker picked the device; log which one
   if (lastUsedBackend === "webgpu") {
-    // In our detailed check, we might have set webgpuSupported=true but we need info from the promise
-    // But since pipe is already loaded, we can just log the success.
     console.log(
       "[vector-worker] Przygotowanie SQL: Używam WebGPU (GPU acceleration)",
     );
   } else {
-    // We can't easily get the error here unless we store it globally, but for now we'll just log failure.
     console.log(
-      "[vector-worker] Przygotowanie SQL: Używam CPU/WASM (WebGPU niedostępne). Sprawdź ?debugVector=1 w URL i 'embedder_backend_detailed' w konsoli.",
+      "[vector-worker] Przygotowanie SQL: Używam CPU/WASM (WebGPU niedostępne). Sprawdź ?debugVector=1 w URL i 'embedder_selected_device' w konsoli.",
     );
   }
 
@@ -788,11 +680,9 @@ async function prepareWithProgress(userId, text, sourceName, clearExisting) {
     const texts = batch.map((row) => row.text);
 
     const t0 = performance.now();
-    const output = await pipe(texts, { pooling: "mean", normalize: true });
+    const vectors = await embedRaw(texts);
     const t1 = performance.now();
 
-    const vectors = output?.data || [];
-
     for (let j = 0; j < batch.length; j++) {
       const row = batch[j];
       const vectorData = vectors[j];
@@ -940,15 +830,19 @@ async function getCompletedChunks(userId) {
 }
 
 async function embedQuery(text) {
-  const pipe = await getEmbedder();
-  const out = await pipe(text, { pooling: "mean", normalize: true });
-  self.postMessage({ type: "embed_result", vector: Array.from(out.data) });
+  const [vector] = await embedRaw([text]);
+  self.postMessage({ type: "embed_result", vector: Array.from(vector) });
 }
 
 self.onmessage = async (e) => {
   const { action, payload } = e.data;
   try {
     switch (action) {
+      case "connect_embedder":
+        embeddingClient = createEmbeddingClient(payload.port);
+        embeddingModel = payload.model;
+        devicePromise = null;
+        break;
       case "set_debug":
         debugEnabled = Boolean(payload && payload.enabled);
         debugEchoToConsole = Boolean(payload && payload.echoToConsole);
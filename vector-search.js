@@ -12,6 +12,11 @@ import {
 } from "firebase/firestore";
 import { app } from "../firebase-init.js";
 import { firestore } from "../firebase-firestore.js";
+import { createProvider } from "./src/services/llm-providers";
+import {
+  connectEmbeddingPort,
+  getActiveEmbeddingModel,
+} from "./src/services/embeddings";
 
 const LLM_ENDPOINT = "https://model.makewebfast.online/v1/chat/completions";
 
@@ -47,6 +52,15 @@ function getWorker() {
   worker = new Worker(new URL("./vector-db.worker.js", import.meta.url), {
     type: "module",
   });
+  // Share the chat's embedding model instead of loading another copy
+  const port = connectEmbeddingPort();
+  worker.postMessage(
+    {
+      action: "connect_embedder",
+      payload: { port, model: getActiveEmbeddingModel().key },
+    },
+    [port],
+  );
 
   if (g) g[GLOBAL_WORKER_KEY] = worker;
   return worker;
@@ -234,6 +248,27 @@ export async function searchLocalVectors(userId, vectorArray, topK) {
   });
 }
 
+/**
+ * Ask the knowledge-base LLM (OpenAI-compatible endpoint) via the shared
+ * provider layer, reporting the accumulated text to onStream if given
+ */
+async function askLLM(userId, prompt, onStream) {
+  const llm = createProvider({
+    provider: "openai",
+    endpoint: LLM_ENDPOINT,
+    apiKey: userId,
+  });
+  const messages = [{ role: "user", content: prompt }];
+
+  if (!onStream) return llm.generate(messages);
+
+  let fullText = "";
+  return llm.stream(messages, (delta) => {
+    fullText += delta;
+    onStream(fullText);
+  });
+}
+
 /**
  * Testing: Search Firestore + Local LLM call
  */
@@ -313,72 +348,8 @@ KONTEKST:\n${context}\n\nPYTANIE: ${queryStr}`;
 
     console.log("Calling local LLM...");
 
-    const response = await fetch(LLM_ENDPOINT, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${userId}`,
-      },
-      body: JSON.stringify({
-        messages: [{ role: "user", content: prompt }],
-        stream: Boolean(onStream),
-      }),
-    });
-
-    if (onStream && response.body) {
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder("utf-8");
-      let buffer = "";
-      let fullText = "";
-
-      while (true) {
-        const { value, done } = await reader.read();
-        if (done) break;
-        buffer += decoder.decode(value, { stream: true });
-
-        const lines = buffer.split("\n");
-        buffer = lines.pop() || "";
-
-        for (const line of lines) {
-          const trimmed = line.trim();
-          if (!trimmed.startsWith("data:")) continue;
-          const data = trimmed.slice(5).trim();
-          if (data === "[DONE]") {
-            return { results, llmText: fullText, source };
-          }
-          try {
-            const json = JSON.parse(data);
-            const delta =
-              json.choices?.[0]?.delta?.content ??
-              json.choices?.[0]?.message?.content ??
-              "";
-            if (delta) {
-              fullText += delta;
-              onStream(fullText);
-            }
-          } catch {
-            // ignore partial JSON
-          }
-        }
-      }
-
-      return {
-        results,
-        llmText: fullText || "Brak odpowiedzi od LLM.",
-        source,
-      };
-    }
-
-    const fullResponse = await response.json();
-    console.log("Full LLM Response:", fullResponse);
-
-    return {
-      results,
-      llmText:
-        fullResponse.choices?.[0]?.message?.content ||
-        "Brak odpowiedzi od LLM.",
-      source,
-    };
+    const llmText = await askLLM(userId, prompt, onStream);
+    return { results, llmText: llmText || "Brak odpowiedzi od LLM.", source };
   }
 
   // 3) Firestore fallback
@@ -466,67 +437,8 @@ KONTEKST:\n${context}\n\nPYTANIE: ${queryStr}`;
 
   console.log("Calling local LLM...");
 
-  const response = await fetch(LLM_ENDPOINT, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${userId}`,
-    },
-    body: JSON.stringify({
-      messages: [{ role: "user", content: prompt }],
-      stream: Boolean(onStream),
-    }),
-  });
-
-  if (onStream && response.body) {
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder("utf-8");
-    let buffer = "";
-    let fullText = "";
-
-    while (true) {
-      const { value, done } = await reader.read();
-      if (done) break;
-      buffer += decoder.decode(value, { stream: true });
-
-      const lines = buffer.split("\n");
-      buffer = lines.pop() || "";
-
-      for (const line of lines) {
-        const trimmed = line.trim();
-        if (!trimmed.startsWith("data:")) continue;
-        const data = trimmed.slice(5).trim();
-        if (data === "[DONE]") {
-          return { results, llmText: fullText, source };
-        }
-        try {
-          const json = JSON.parse(data);
-          const delta =
-            json.choices?.[0]?.delta?.content ??
-            json.choices?.[0]?.message?.content ??
-            "";
-          if (delta) {
-            fullText += delta;
-            onStream(fullText);
-          }
-        } catch {
-          // ignore partial JSON
-        }
-      }
-    }
-
-    return { results, llmText: fullText || "Brak odpowiedzi od LLM.", source };
-  }
-
-  const fullResponse = await response.json();
-  console.log("Full LLM Response:", fullResponse);
-
-  return {
-    results,
-    llmText:
-      fullResponse.choices?.[0]?.message?.content || "Brak odpowiedzi od LLM.",
-    source,
-  };
+  const llmText = await askLLM(userId, prompt, onStream);
+  return { results, llmText: llmText || "Brak odpowiedzi od LLM.", source };
 }
 
 // UI Setup